@@ -0,0 +1,75 @@
+// Creates a thumbnail and a mid-size copy of every image in public/assets/img,
+// plus public/image-variants.json, the index the app reads to load them
+// progressively. Run with `npm run images`; `npm run build` runs it first.
+// Variants that are newer than their original are left alone.
+
+import { readdir, mkdir, stat, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import sharp from 'sharp';
+
+const PUBLIC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+const SOURCE_DIR = 'assets/img';
+const VARIANTS_DIR = 'assets/img/variants';
+const INDEX_FILE = 'image-variants.json';
+
+// Longest side, in pixels, of each variant
+const VARIANTS = {
+  thumb: 64,
+  mid: 512,
+};
+
+const IMAGE_EXTENSIONS = new Set(['.jpg', '.jpeg', '.png', '.webp']);
+
+const isUpToDate = async (source, target) => {
+  try {
+    const [sourceStat, targetStat] = await Promise.all([stat(source), stat(target)]);
+    return targetStat.mtimeMs >= sourceStat.mtimeMs;
+  } catch {
+    return false;
+  }
+};
+
+async function main() {
+  const files = (await readdir(path.join(PUBLIC_DIR, SOURCE_DIR), { withFileTypes: true }))
+    .filter(file => file.isFile() && IMAGE_EXTENSIONS.has(path.extname(file.name).toLowerCase()))
+    .map(file => file.name)
+    .sort();
+
+  const index = {};
+  let written = 0;
+
+  for (const name of Object.keys(VARIANTS)) {
+    await mkdir(path.join(PUBLIC_DIR, VARIANTS_DIR, name), { recursive: true });
+  }
+
+  for (const file of files) {
+    const source = path.join(PUBLIC_DIR, SOURCE_DIR, file);
+    const entry = {};
+
+    for (const [name, size] of Object.entries(VARIANTS)) {
+      const relativeTarget = `${VARIANTS_DIR}/${name}/${file}`;
+      const target = path.join(PUBLIC_DIR, relativeTarget);
+
+      if (!(await isUpToDate(source, target))) {
+        await sharp(source)
+          .rotate() // Respect EXIF orientation
+          .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+          .toFile(target);
+        written++;
+      }
+      entry[name] = relativeTarget;
+    }
+
+    index[`${SOURCE_DIR}/${file}`] = entry;
+  }
+
+  await writeFile(path.join(PUBLIC_DIR, INDEX_FILE), `${JSON.stringify(index, null, 2)}\n`);
+  console.log(`Image variants: ${files.length} images, ${written} files written, index in public/${INDEX_FILE}`);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// Writes public/catalog-synthetic.json, a large catalog for testing how the
+// map performs with many artworks. Entries cycle through the images, tags and
+// emotions of public/catalog.json and are laid out on a square grid.
+//
+//   npm run catalog:synthetic -- 1000
+//
+// then open the app with `?catalog=catalog-synthetic.json&stats`.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+
+const PUBLIC_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', 'public');
+const SOURCE_FILE = 'catalog.json';
+const OUTPUT_FILE = 'catalog-synthetic.json';
+const DEFAULT_COUNT = 1000;
+const SPACING = 2; // Grid step in world units; planes are at most 1.5 wide
+
+async function main() {
+  const count = Number.parseInt(process.argv[2] || DEFAULT_COUNT, 10);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Expected a positive number of artworks, got "${process.argv[2]}"`);
+  }
+
+  const source = JSON.parse(await readFile(path.join(PUBLIC_DIR, SOURCE_FILE), 'utf8'));
+  if (!Array.isArray(source) || source.length === 0) {
+    throw new Error(`public/${SOURCE_FILE} has no artworks to copy`);
+  }
+
+  const columns = Math.ceil(Math.sqrt(count));
+  const offset = ((columns - 1) * SPACING) / 2;
+
+  const entries = Array.from({ length: count }, (_, index) => {
+    const template = source[index % source.length];
+    // Catalog titles may be localized ({ "en": …, "it": … })
+    const title = typeof template.title === 'object' && template.title !== null
+      ? template.title.en || Object.values(template.title)[0]
+      : template.title;
+    return {
+      id: index + 1,
+      path: template.path,
+      title: `Synthetic ${index + 1}`,
+      description: `Copy of "${title || template.path}" for performance testing`,
+      position: [
+        (index % columns) * SPACING - offset,
+        offset - Math.floor(index / columns) * SPACING,
+        0,
+      ],
+      tags: template.tags || [],
+      emotions: template.emotions || [],
+    };
+  });
+
+  await writeFile(path.join(PUBLIC_DIR, OUTPUT_FILE), `${JSON.stringify(entries, null, 2)}\n`);
+  console.log(`Synthetic catalog: ${count} artworks written to public/${OUTPUT_FILE}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+// Stand-in for a shared reactions service, for development. It
+// speaks the protocol of the HTTP backend in src/Service/reactionBackend.js:
+//
+//   PUT /visitors/:visitorId/reactions   { "reactions": { "<artwork id>": { "emotion": "joy" | null } } }
+//   GET /summaries                       { "<artwork id>": { "count": 3, "emotions": { "joy": 2 } } }
+//
+// Reactions are kept in memory, or in a JSON file with --data <file>.
+//
+//   npm run reactions-server -- --port 8787 --data reactions-data.json
+//
+// then open the app with `?reactionsApi=http://localhost:8787`.
+
+import { Buffer } from 'node:buffer';
+import { createServer } from 'node:http';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import process from 'node:process';
+import { fileURLToPath } from 'node:url';
+import { cleanSharedReactions, summarizeReactions } from '../src/Service/reactionSummary.js';
+
+const DEFAULT_PORT = 8787;
+const MAX_BODY_SIZE = 512 * 1024;
+const MAX_VISITOR_ID_LENGTH = 100;
+
+function parseArguments(args) {
+  const options = { port: Number(process.env.PORT) || DEFAULT_PORT, data: null };
+  for (let i = 0; i < args.length; i += 1) {
+    if (args[i] === '--port') {
+      options.port = Number.parseInt(args[++i], 10);
+    } else if (args[i] === '--data') {
+      options.data = args[++i];
+    } else {
+      throw new Error(`Unknown argument "${args[i]}", expected --port <number> or --data <file>`);
+    }
+  }
+  if (!Number.isInteger(options.port) || options.port < 0) throw new Error('--port expects a port number');
+  return options;
+}
+
+async function loadVisitors(file) {
+  // Keyed by visitor ids from the network, so without a prototype (see reactionSummary.js)
+  const visitors = Object.create(null);
+  if (!file) return visitors;
+  let saved;
+  try {
+    saved = JSON.parse(await readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return visitors;
+    throw new Error(`Could not read ${file}: ${error.message}`);
+  }
+  Object.entries(saved || {}).forEach(([visitorId, reactions]) => {
+    const cleaned = cleanSharedReactions(reactions);
+    if (cleaned) visitors[visitorId] = cleaned;
+  });
+  return visitors;
+}
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    request.on('error', reject);
+  });
+}
+
+function send(response, status, body) {
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    // The app runs on another port during development
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type',
+  });
+  response.end(body === undefined ? undefined : `${JSON.stringify(body)}\n`);
+}
+
+export function createReactionsServer({ visitors = Object.create(null), onChange = () => {} } = {}) {
+  return createServer(async (request, response) => {
+    const { pathname } = new URL(request.url, 'http://localhost');
+    const visitorMatch = pathname.match(/^\/visitors\/([^/]+)\/reactions\/?$/);
+
+    try {
+      if (request.method === 'OPTIONS') {
+        send(response, 204);
+      } else if (request.method === 'GET' && pathname.replace(/\/$/, '') === '/summaries') {
+        send(response, 200, summarizeReactions(visitors));
+      } else if (request.method === 'PUT' && visitorMatch) {
+        let visitorId;
+        try {
+          visitorId = decodeURIComponent(visitorMatch[1]);
+        } catch {
+          send(response, 400, { error: 'Visitor id is not valid URL encoding' });
+          return;
+        }
+        if (visitorId.length > MAX_VISITOR_ID_LENGTH) {
+          send(response, 400, { error: 'Visitor id too long' });
+          return;
+        }
+        let body;
+        try {
+          body = JSON.parse(await readBody(request));
+        } catch (error) {
+          send(response, error.status || 400, { error: error.status ? error.message : 'Body is not valid JSON' });
+          return;
+        }
+        const reactions = cleanSharedReactions(body && body.reactions);
+        if (!reactions) {
+          send(response, 400, { error: 'Expected { "reactions": { "<artwork id>": { "emotion": … } } }' });
+          return;
+        }
+        visitors[visitorId] = reactions;
+        await onChange(visitors);
+        send(response, 204);
+      } else {
+        send(response, 404, { error: `No route for ${request.method} ${pathname}` });
+      }
+    } catch (error) {
+      console.error(error);
+      send(response, 500, { error: 'Internal error' });
+    }
+  });
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const visitors = await loadVisitors(options.data);
+  const onChange = options.data
+    ? (current) => writeFile(options.data, `${JSON.stringify(current, null, 2)}\n`)
+    : undefined;
+
+  const server = createReactionsServer({ visitors, onChange });
+  server.listen(options.port, () => {
+    const { port } = server.address();
+    console.log(`Reactions server listening on http://localhost:${port}`);
+    console.log(`Open the app with ?reactionsApi=http://localhost:${port}`);
+  });
+}
+
+// Only start listening when run as a script, not when imported
+if (process.argv[1] && fileURLToPath(import.meta.url) === path.resolve(process.argv[1])) {
+  main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,131 @@
+import { Component, Suspense, useRef } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { Plane, Text } from "@react-three/drei";
+import * as THREE from 'three';
+import { useTranslation } from '../Service/i18n';
+
+// Loading and failure states shared by everything that shows an artwork image
+// in the scene: a spinner while the texture loads, an "image unavailable" card
+// with a retry button when it cannot be loaded, and an error boundary so that
+// one broken artwork never takes the rest of the scene down with it.
+
+const SPINNER_COLOR = "#ff6b9d";
+const CARD_COLOR = "#f3e9ec";
+const CARD_TEXT_COLOR = "#333333";
+
+// Spinning ring, sized relative to the plane it stands in for
+export function LoadingPlane({ position = [0, 0, 0], size = 1, depthTest = true }) {
+  const ringRef = useRef();
+
+  useFrame((_, delta) => {
+    if (ringRef.current) ringRef.current.rotation.z -= delta * 4;
+  });
+
+  const radius = size * 0.12;
+  return (
+    <mesh ref={ringRef} position={position}>
+      <ringGeometry args={[radius * 0.7, radius, 32, 1, 0, Math.PI * 1.5]} />
+      <meshBasicMaterial color={SPINNER_COLOR} side={THREE.DoubleSide} transparent opacity={0.8} depthTest={depthTest} />
+    </mesh>
+  );
+}
+
+// Card shown in place of an image that failed to load, with the catalog title
+// (a plain or localized catalog field) and a retry button. Clicking elsewhere
+// on the card calls `onClick`, so the artwork can still be opened to read
+// about it.
+export function UnavailableCard({ width, height, position = [0, 0, 0], title, onRetry, onClick, depthTest = true }) {
+  const { t, localize } = useTranslation();
+  const fontSize = Math.min(width, height) * 0.09;
+  const buttonWidth = Math.min(width * 0.5, fontSize * 6);
+  const buttonHeight = fontSize * 2;
+
+  return (
+    <group position={position}>
+      <Plane
+        args={[width, height]}
+        onClick={onClick && ((e) => {
+          e.stopPropagation();
+          onClick();
+        })}
+      >
+        <meshBasicMaterial color={CARD_COLOR} side={THREE.DoubleSide} depthTest={depthTest} />
+      </Plane>
+      <Text
+        position={[0, height * 0.22, 0.01]}
+        fontSize={fontSize}
+        color={SPINNER_COLOR}
+        anchorX="center"
+        anchorY="middle"
+        depthTest={depthTest}
+      >
+        {t('image.unavailable')}
+      </Text>
+      <Text
+        position={[0, 0, 0.01]}
+        fontSize={fontSize * 0.8}
+        color={CARD_TEXT_COLOR}
+        anchorX="center"
+        anchorY="middle"
+        maxWidth={width * 0.85}
+        textAlign="center"
+        depthTest={depthTest}
+      >
+        {localize(title) || t('artwork.untitled')}
+      </Text>
+      {onRetry && (
+        <group position={[0, -height * 0.25, 0.01]}>
+          <Plane
+            args={[buttonWidth, buttonHeight]}
+            onClick={(e) => {
+              e.stopPropagation();
+              onRetry();
+            }}
+          >
+            <meshBasicMaterial color="#ffffff" depthTest={depthTest} />
+          </Plane>
+          <Text
+            position={[0, 0, 0.01]}
+            fontSize={fontSize * 0.8}
+            color="#222222"
+            anchorX="center"
+            anchorY="middle"
+            depthTest={depthTest}
+          >
+            {t('image.retry')}
+          </Text>
+        </group>
+      )}
+    </group>
+  );
+}
+
+// Error boundary and Suspense boundary around a single artwork. `fallback`
+// receives a retry function that remounts the children; `loading` is shown
+// while anything inside suspends.
+export class ArtworkBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error) {
+    console.error(`[artwork] ${this.props.label || 'artwork'}: ${error.message}`);
+  }
+
+  retry = () => {
+    this.setState({ error: null });
+  };
+
+  render() {
+    if (this.state.error) {
+      return this.props.fallback ? this.props.fallback(this.retry) : null;
+    }
+    return (
+      <Suspense fallback={this.props.loading || null}>
+        {this.props.children}
+      </Suspense>
+    );
+  }
+}
@@ -0,0 +1,114 @@
+import { Plane, Text } from "@react-three/drei";
+import { formatMediaTime, useMediaPlayback } from '../Service/media';
+import { useTranslation } from '../Service/i18n';
+
+// Playback bar drawn over the bottom of a video or sound work in the popup:
+// play/pause, a track to seek along, the time, and for videos a mute toggle.
+// `width` is the width of the image above it, in world units.
+
+const BAR_HEIGHT = 0.45;
+const BAR_COLOR = "#222222";
+const BUTTON_COLOR = "#eeeeee";
+const TRACK_COLOR = "#555555";
+const PROGRESS_COLOR = "#ff6b9d";
+const TEXT_COLOR = "#ffffff";
+const BUTTON_WIDTH = 0.8;
+const TIME_WIDTH = 1.3;
+const GAP = 0.12;
+
+function CanvasMediaControls({ url, kind, width, position }) {
+  const { t } = useTranslation();
+  const playback = useMediaPlayback(url, kind);
+  if (!playback) return null;
+
+  const { playing, currentTime, duration, muted } = playback;
+  const hasMute = kind === 'video';
+  const trackStart = -width / 2 + GAP + BUTTON_WIDTH + GAP;
+  const trackEnd = width / 2 - GAP - TIME_WIDTH - (hasMute ? BUTTON_WIDTH + GAP : 0);
+  const trackWidth = Math.max(0.2, trackEnd - trackStart);
+  const progress = duration > 0 ? Math.min(1, currentTime / duration) : 0;
+
+  return (
+    <group position={position}>
+      <Plane args={[width, BAR_HEIGHT]} onClick={(e) => e.stopPropagation()}>
+        <meshBasicMaterial color={BAR_COLOR} transparent opacity={0.75} depthTest={false} />
+      </Plane>
+
+      <Plane
+        args={[BUTTON_WIDTH, BAR_HEIGHT - 0.12]}
+        position={[-width / 2 + GAP + BUTTON_WIDTH / 2, 0, 0.01]}
+        onClick={(e) => {
+          e.stopPropagation();
+          playback.toggle();
+        }}
+      >
+        <meshBasicMaterial color={BUTTON_COLOR} transparent opacity={0.9} depthTest={false} />
+      </Plane>
+      <Text
+        position={[-width / 2 + GAP + BUTTON_WIDTH / 2, 0, 0.02]}
+        fontSize={0.13}
+        color="#222222"
+        anchorX="center"
+        anchorY="middle"
+        depthTest={false}
+      >
+        {playing ? t('media.pause') : t('media.play')}
+      </Text>
+
+      {/* Seek track: a click jumps to that point of the work */}
+      <Plane
+        args={[trackWidth, 0.1]}
+        position={[trackStart + trackWidth / 2, 0, 0.01]}
+        onClick={(e) => {
+          e.stopPropagation();
+          if (e.uv) playback.seek(e.uv.x * duration);
+        }}
+      >
+        <meshBasicMaterial color={TRACK_COLOR} transparent opacity={0.9} depthTest={false} />
+      </Plane>
+      {progress > 0 && (
+        <Plane args={[trackWidth * progress, 0.1]} position={[trackStart + (trackWidth * progress) / 2, 0, 0.02]}>
+          <meshBasicMaterial color={PROGRESS_COLOR} transparent depthTest={false} />
+        </Plane>
+      )}
+
+      <Text
+        position={[trackEnd + GAP + TIME_WIDTH / 2, 0, 0.02]}
+        fontSize={0.13}
+        color={TEXT_COLOR}
+        anchorX="center"
+        anchorY="middle"
+        depthTest={false}
+      >
+        {`${formatMediaTime(currentTime)} / ${formatMediaTime(duration)}`}
+      </Text>
+
+      {hasMute && (
+        <>
+          <Plane
+            args={[BUTTON_WIDTH, BAR_HEIGHT - 0.12]}
+            position={[width / 2 - GAP - BUTTON_WIDTH / 2, 0, 0.01]}
+            onClick={(e) => {
+              e.stopPropagation();
+              playback.toggleMute();
+            }}
+          >
+            <meshBasicMaterial color={BUTTON_COLOR} transparent opacity={0.9} depthTest={false} />
+          </Plane>
+          <Text
+            position={[width / 2 - GAP - BUTTON_WIDTH / 2, 0, 0.02]}
+            fontSize={0.13}
+            color="#222222"
+            anchorX="center"
+            anchorY="middle"
+            depthTest={false}
+          >
+            {muted ? t('media.unmute') : t('media.mute')}
+          </Text>
+        </>
+      )}
+    </group>
+  );
+}
+
+export default CanvasMediaControls;
@@ -0,0 +1,63 @@
+import { Plane, Text } from "@react-three/drei";
+import { EMOTION_MAP_RADIUS } from './layout';
+import { useTranslation } from '../Service/i18n';
+
+const AXIS_COLOR = "#bb18f6";
+const LABEL_COLOR = "#555555";
+const REGION_COLOR = "#ff6b9d";
+
+// Axes and region labels drawn behind the planes in the "emotion" layout.
+// Clicking a region label calls onRegionClick with that region's cluster centre.
+function EmotionMap({ regions, onRegionClick }) {
+  const { t } = useTranslation();
+  const axisLength = EMOTION_MAP_RADIUS * 2 + 1;
+  const labelOffset = EMOTION_MAP_RADIUS + 0.8;
+
+  return (
+    <group position={[0, 0, -0.2]}>
+      {/* Valence (horizontal) and arousal (vertical) axes */}
+      <Plane args={[axisLength, 0.02]}>
+        <meshBasicMaterial color={AXIS_COLOR} transparent opacity={0.5} />
+      </Plane>
+      <Plane args={[0.02, axisLength]}>
+        <meshBasicMaterial color={AXIS_COLOR} transparent opacity={0.5} />
+      </Plane>
+
+      {/* Axis end labels */}
+      <Text position={[-labelOffset, 0, 0]} fontSize={0.25} color={LABEL_COLOR} anchorX="right" anchorY="middle">
+        {t('emotion.unpleasant')}
+      </Text>
+      <Text position={[labelOffset, 0, 0]} fontSize={0.25} color={LABEL_COLOR} anchorX="left" anchorY="middle">
+        {t('emotion.pleasant')}
+      </Text>
+      <Text position={[0, labelOffset, 0]} fontSize={0.25} color={LABEL_COLOR} anchorX="center" anchorY="bottom">
+        {t('emotion.highEnergy')}
+      </Text>
+      <Text position={[0, -labelOffset, 0]} fontSize={0.25} color={LABEL_COLOR} anchorX="center" anchorY="top">
+        {t('emotion.lowEnergy')}
+      </Text>
+
+      {/* Region labels, one per quadrant, placed just outside the map */}
+      {regions.map(region => (
+        <Text
+          key={region.id}
+          position={[region.valence * EMOTION_MAP_RADIUS * 0.6, region.arousal * labelOffset, 0]}
+          fontSize={0.45}
+          color={REGION_COLOR}
+          anchorX="center"
+          anchorY={region.arousal > 0 ? "bottom" : "top"}
+          onClick={(e) => {
+            e.stopPropagation();
+            onRegionClick(region.center);
+          }}
+          onPointerOver={() => { document.body.style.cursor = 'pointer'; }}
+          onPointerOut={() => { document.body.style.cursor = 'auto'; }}
+        >
+          {`${t(`emotion.region.${region.id}`)} (${region.count})`}
+        </Text>
+      ))}
+    </group>
+  );
+}
+
+export default EmotionMap;
@@ -1,9 +1,51 @@
 import { Canvas, useThree, useFrame } from "@react-three/fiber";
-import { MapControls, Plane, useTexture, Text } from "@react-three/drei";
+import { MapControls, Plane, Text, Stats } from "@react-three/drei";
 import * as THREE from 'three';
-import imagesData from '../Service/images.json';
 import { useState, useCallback, useEffect, Suspense, useMemo, useRef } from 'react';
-import imageDescriptions from '../Service/imageDescriptions.json';
+import { loadCatalog, resolveCatalogUrl, findMissingFiles, parseCatalog, reportCatalogProblems, playbackOf, stillImageUrl, hasPlaybackControls, isPicture } from '../Service/catalog';
+import { computeLayout, resolveLayoutMode, planeSizeForAspect, unmeasuredPlaneSize, emotionRegionCenters } from './layout';
+import EmotionMap from './EmotionMap';
+import InstancedGallery from './InstancedGallery';
+import ReactionMarkers from './ReactionMarkers';
+import ParticleField from './ParticleField';
+import { ArtworkBoundary, LoadingPlane, UnavailableCard } from './ArtworkStatus';
+import { useProgressiveTexture, levelForDistance, TEXTURE_LEVELS } from './useProgressiveTexture';
+import { useResilientTexture } from './useResilientTexture';
+import { textureAspect, useAnimatedTexture, useOnScreen, useVideoTexture } from './useMediaTexture';
+import CanvasMediaControls from './CanvasMediaControls';
+import { createFlight, stepTransition, fitDistance, DEFAULT_TRANSITION } from './cameraTransition';
+import { catalogBounds, clampToBounds, keyPanStep, maxZoomOut, panSpeedFor, stepBounds } from './mapBounds';
+import { currentRoute, findWorkIndex, pushRoute, replaceRoute } from '../Service/route';
+import { loadTours, resolveToursUrl } from '../Service/tours';
+import { resolveReactionsApi, useSharedReactions } from '../Service/reactionBackend';
+import { filterCatalog, isFilterActive } from '../Service/search';
+import SearchPanel from '../components/SearchPanel';
+import AccessibleGallery from '../components/AccessibleGallery';
+import ArtworkDetailPanel from '../components/ArtworkDetailPanel';
+import { useArtworkDialog } from '../components/useArtworkDialog';
+import CuratorPanel from '../components/CuratorPanel';
+import Lightbox from '../components/Lightbox';
+import TourMenu from '../components/TourMenu';
+import TourPlayer from '../components/TourPlayer';
+import ReactionForm from '../components/ReactionForm';
+import InspectModeSwitch from '../components/InspectModeSwitch';
+import Minimap from '../components/Minimap';
+import AmbientAudio from '../components/AmbientAudio';
+import { isTouchDevice, swipeDirection, enterFullscreen, exitFullscreen, prefersReducedMotion, isLowPowerDevice } from '../Service/device';
+import { useTranslation } from '../Service/i18n';
+import {
+  isEditorEnabled,
+  loadDraft,
+  saveDraft,
+  saveDraftImage,
+  removeDraftImage,
+  clearDraft,
+  nextArtworkId,
+  readImageFile,
+  exportCatalog,
+  hasLocalImage
+} from '../Service/editor';
+import './Experience.css';
 
 // Helper function to create a rounded rectangle texture
 const createRoundedRectTexture = (width, height, radius) => {
@@ -39,132 +81,249 @@ const createRoundedRectTexture = (width, height, radius) => {
   return texture;
 };
 
-// Component to render a single image plane with error handling
-function ImagePlane({ path, position, id, onClick }) {
-  // Always call hooks at the top level, not conditionally
-  const texture = useTexture(path);
+const PLACEHOLDER_COLOR = "#e8dfe0"; // Shown on a plane until its first texture arrives
+const AUDIO_COLOR = "#3a3340"; // Plane of a sound work without a cover
+const AUDIO_ICON = '/assets/icons/audio.png';
+const AUDIO_ICON_SIZE = 0.35; // Side of the icon on a plane of scale 1
 
-  // Handle errors with state instead of try/catch around hooks
-  const [hasError, setHasError] = useState(false);
-  
-  // Use useEffect to handle texture loading errors
-  useEffect(() => {
-    const handleError = () => {
-      console.error(`Error loading texture for image ${id}: ${path}`);
-      setHasError(true);
-    };
-    
-    // Add error event listener to texture
-    if (texture && texture.source) {
-      const source = texture.source;
-      if (source.data) {
-        source.data.addEventListener('error', handleError);
-        return () => {
-          source.data.removeEventListener('error', handleError);
-        };
-      }
+// Component to render a single image plane with error handling.
+// The texture loads progressively without suspending: a placeholder with a
+// spinner first, then finer levels of detail as the camera gets closer (see
+// useProgressiveTexture). Images that cannot be loaded show an "image
+// unavailable" card with the catalog title and a retry button.
+// Without `placeholder` the plane stays invisible until its first texture arrives.
+// `still` is the image drawn on the plane and `playback` how the file at
+// `path` plays (see playbackOf in catalog.js): videos and animated images
+// move while the plane is on screen, sound works get an icon over their cover.
+// `editable` planes can be dragged around the map in curator mode: the new
+// position is reported through onDragEnd(id, position) when the drag ends.
+function ImagePlane({
+  path,
+  still = path,
+  playback = null,
+  variants,
+  title,
+  position: layoutPosition,
+  scale = 1,
+  id,
+  onClick,
+  onSizeChange,
+  dimmed = false,
+  hidden = false,
+  focused = false,
+  selected = false,
+  placeholder = true,
+  editable = false,
+  onDragStart,
+  onDragEnd
+}) {
+  const [level, setLevel] = useState(TEXTURE_LEVELS[0]);
+  const levelRef = useRef(level);
+  const planeCenter = useMemo(() => new THREE.Vector3(), []);
+
+  // Position while the curator drags the plane, before it is committed to the catalog
+  const [dragPosition, setDragPosition] = useState(null);
+  const dragRef = useRef(null);
+  const dragPlane = useMemo(() => new THREE.Plane(new THREE.Vector3(0, 0, 1), 0), []);
+  const dragPoint = useMemo(() => new THREE.Vector3(), []);
+  const position = dragPosition || layoutPosition;
+
+  // Pick the level of detail from the camera distance
+  useFrame(({ camera }) => {
+    planeCenter.set(position[0], position[1], position[2]);
+    const nextLevel = levelForDistance(camera.position.distanceTo(planeCenter), levelRef.current);
+    if (nextLevel !== levelRef.current) {
+      levelRef.current = nextLevel;
+      setLevel(nextLevel);
     }
-  }, [texture, id, path]);
+  });
+
+  // Variants are made from the file itself, so they do not apply to covers
+  const stillTexture = useProgressiveTexture(still, still === path ? variants : null, level);
 
   // Get the natural dimensions of the loaded texture
   const [dimensions, setDimensions] = useState({ width: 1, height: 1 });
-  
+
+  const moving = playback === 'video' || playback === 'animated';
+  const onScreen = useOnScreen(position, dimensions, moving && !hidden);
+  const video = useVideoTexture(playback === 'video' ? path : null, onScreen);
+  const animated = useAnimatedTexture(playback === 'animated' ? path : null, onScreen);
+  const { texture: audioIcon } = useResilientTexture(playback === 'audio' ? AUDIO_ICON : null);
+
+  const texture = video.texture || animated.texture || stillTexture.texture;
+  const hasError = playback === 'video' ? video.error : stillTexture.error;
+  const retry = playback === 'video' ? video.retry : stillTexture.retry;
+  // Sound works without a cover are drawn as a plain card
+  const blank = playback === 'audio' && !still;
+
   // Use useEffect to get the natural dimensions once texture is loaded
   useEffect(() => {
     if (texture && texture.image) {
-      const aspectRatio = texture.image.width / texture.image.height;
+      const aspectRatio = textureAspect(texture);
       // Keep a reasonable size in the 3D space while maintaining aspect ratio
-      const maxDimension = 1.5; // Maximum size in any dimension
-      let width, height;
-      
-      if (aspectRatio > 1) {
-        // Landscape image
-        width = Math.min(maxDimension, aspectRatio);
-        height = width / aspectRatio;
-      } else {
-        // Portrait image
-        height = Math.min(maxDimension, 1 / aspectRatio);
-        width = height * aspectRatio;
-      }
-      
-      setDimensions({ width, height });
+      const size = planeSizeForAspect(aspectRatio, scale);
+      setDimensions(size);
+      if (onSizeChange) onSizeChange(id, size);
+    } else if (blank) {
+      const size = unmeasuredPlaneSize(scale);
+      setDimensions(size);
+      if (onSizeChange) onSizeChange(id, size);
     }
-  }, [texture]);
+  }, [texture, blank, id, scale, onSizeChange]);
+
+  // Failed images keep the size the layout assumes for images it has not measured
+  const planeSize = hasError ? unmeasuredPlaneSize(scale) : dimensions;
+
+  // Where the pointer ray meets the map, at the depth of this plane
+  const pointOnMap = (e) => {
+    dragPlane.constant = -layoutPosition[2];
+    return e.ray.intersectPlane(dragPlane, dragPoint);
+  };
+
+  const dragHandlers = editable && !hidden ? {
+    onPointerDown: (e) => {
+      const point = pointOnMap(e);
+      if (!point) return;
+      e.stopPropagation();
+      e.target.setPointerCapture(e.pointerId);
+      dragRef.current = { dx: layoutPosition[0] - point.x, dy: layoutPosition[1] - point.y, moved: false };
+      onDragStart(id);
+    },
+    onPointerMove: (e) => {
+      if (!dragRef.current) return;
+      const point = pointOnMap(e);
+      if (!point) return;
+      e.stopPropagation();
+      dragRef.current.moved = true;
+      setDragPosition([point.x + dragRef.current.dx, point.y + dragRef.current.dy, layoutPosition[2]]);
+    },
+    onPointerUp: (e) => {
+      if (!dragRef.current) return;
+      e.stopPropagation();
+      e.target.releasePointerCapture(e.pointerId);
+      const moved = dragRef.current.moved && dragPosition;
+      dragRef.current = null;
+      onDragEnd(id, moved ? dragPosition.map(value => Math.round(value * 100) / 100) : null);
+      setDragPosition(null);
+    },
+  } : {};
 
   return (
-    <Plane 
-      args={[dimensions.width, dimensions.height]} 
-      position={position}
-      onClick={(e) => {
-        e.stopPropagation();
-        onClick(id, path, position);
-      }}
-    > 
-      <meshStandardMaterial 
-        map={hasError ? null : texture} 
-        color={hasError ? "#ff6b9d" : "#ffffff"}
-        side={THREE.DoubleSide} 
-      /> 
-    </Plane>
+    <>
+      {/* Keyboard focus ring, or the curator's selection, drawn just behind the plane */}
+      {(focused || selected) && !hidden && (
+        <Plane
+          args={[planeSize.width + 0.12, planeSize.height + 0.12]}
+          position={[position[0], position[1], position[2] - 0.01]}
+        >
+          <meshBasicMaterial color={selected ? "#bb18f6" : "#ff6b9d"} />
+        </Plane>
+      )}
+      {hasError ? (
+        !hidden && (
+          <UnavailableCard
+            width={planeSize.width}
+            height={planeSize.height}
+            position={position}
+            title={title}
+            onRetry={retry}
+            onClick={() => onClick(id)}
+          />
+        )
+      ) : (
+        <Plane 
+          args={[dimensions.width, dimensions.height]} 
+          position={position}
+          visible={!hidden && (placeholder || texture !== null || blank)}
+          {...dragHandlers}
+          onClick={(e) => {
+            if (hidden) return;
+            e.stopPropagation();
+            onClick(id);
+          }}
+        > 
+          <meshStandardMaterial 
+            map={texture} 
+            color={texture ? "#ffffff" : blank ? AUDIO_COLOR : PLACEHOLDER_COLOR}
+            side={THREE.DoubleSide} 
+            transparent={dimmed}
+            opacity={dimmed ? 0.15 : 1}
+          /> 
+        </Plane>
+      )}
+      {!texture && !blank && !hasError && !hidden && placeholder && (
+        <LoadingPlane position={[position[0], position[1], position[2] + 0.01]} size={dimensions.width} />
+      )}
+      {audioIcon && !hasError && !hidden && (
+        <Plane
+          args={[AUDIO_ICON_SIZE * scale, AUDIO_ICON_SIZE * scale]}
+          position={blank
+            ? [position[0], position[1], position[2] + 0.01]
+            : [position[0] - dimensions.width / 2 + AUDIO_ICON_SIZE * scale * 0.7, position[1] - dimensions.height / 2 + AUDIO_ICON_SIZE * scale * 0.7, position[2] + 0.01]}
+        >
+          <meshBasicMaterial map={audioIcon} transparent opacity={dimmed ? 0.15 : 1} />
+        </Plane>
+      )}
+    </>
   );
 }
 
-// Info window component that appears next to an image
-function InfoWindow({ image, position }) {
-  console.log("Rendering InfoWindow with:", { image, position });
-  
-  // Load info icon with error handling
-  const [hasIconError, setHasIconError] = useState(false);
-  const infoIcon = useTexture('/assets/icons/info.png');
-  
-  // Add error handling for icon loading
-  useEffect(() => {
-    const handleError = () => {
-      console.error('Error loading info icon');
-      setHasIconError(true);
-    };
-    
-    if (infoIcon && infoIcon.source) {
-      const source = infoIcon.source;
-      if (source.data) {
-        source.data.addEventListener('error', handleError);
-        return () => {
-          source.data.removeEventListener('error', handleError);
-        };
-      }
-    }
-  }, [infoIcon]);
+// Longest description and details shown on the info card, which cannot scroll
+const INFO_DESCRIPTION_LENGTH = 180;
+const INFO_DETAILS_LENGTH = 120;
+
+const truncate = (text, length) => (text.length > length ? `${text.slice(0, length - 1).trimEnd()}…` : text);
+
+// Info window component that appears next to an image, the lightweight
+// alternative to the popup (see INSPECT_MODES). `planeSize` is the size of the
+// artwork's plane, so the card sits just beside it whatever its shape.
+function InfoWindow({ image, position, planeSize, onClose }) {
+  const { t, localize } = useTranslation();
   
-  // Get the full image data from imagesData
-  const imageData = imagesData.find(img => img.id === image.id) || {};
+  // Load info icon; a missing icon leaves a plain dot instead of blanking the window
+  const { texture: infoIcon, status: iconStatus } = useResilientTexture('/assets/icons/info.png');
+  const hasIconError = iconStatus === 'error';
+  const { texture: closeIcon } = useResilientTexture('/assets/icons/close.png');
   
   return (
-    <group position={[position[0] + 1.5, position[1], position[2] + 0.1]}>
-      {/* Info window background */}
-      <Plane args={[2, 1.5]} position={[0, 0, 0]}>
+    <group position={[position[0] + planeSize.width / 2 + 1.1, position[1], position[2] + 0.1]}>
+      {/* Info window background; clicks on the card stay on the card */}
+      <Plane args={[2, 1.5]} position={[0, 0, 0]} onClick={(e) => e.stopPropagation()}>
         <meshBasicMaterial color="#ffffff" transparent opacity={0.9} />
       </Plane>
       
       {/* Info icon in the corner */}
-      <Plane args={[0.4, 0.4]} position={[-0.7, 0.5, 0.01]}>
+      <Plane args={[0.25, 0.25]} position={[-0.78, 0.53, 0.01]} visible={iconStatus !== 'loading'}>
         <meshBasicMaterial 
-          map={hasIconError ? null : infoIcon} 
+          map={infoIcon} 
           color={hasIconError ? "#ff6b9d" : "#ffffff"}
           transparent 
           opacity={0.9} 
         />
       </Plane>
+
+      {/* Close button in the other corner */}
+      <Plane
+        args={[0.2, 0.2]}
+        position={[0.82, 0.57, 0.01]}
+        onClick={(e) => {
+          e.stopPropagation();
+          onClose();
+        }}
+      >
+        <meshBasicMaterial map={closeIcon} color={closeIcon ? "#ffffff" : "#ff5555"} transparent />
+      </Plane>
       
       {/* Title text */}
       <Text 
-        position={[0, 0.5, 0.01]}
+        position={[-0.6, 0.53, 0.01]}
         fontSize={0.15}
         color="#000000"
-        anchorX="center"
+        anchorX="left"
         anchorY="middle"
-        maxWidth={1.8}
+        maxWidth={1.3}
       >
-        {imageData.title || "Untitled"}
+        {localize(image.title) || t('artwork.untitled')}
       </Text>
       
       {/* Description text */}
@@ -176,12 +335,12 @@ function InfoWindow({ image, position }) {
         anchorY="middle"
         maxWidth={1.8}
       >
-        {imageData.description || "No description available"}
+        {truncate(localize(image.description) || t('artwork.noDescription'), INFO_DESCRIPTION_LENGTH)}
       </Text>
       
       {/* Details text */}
       <Text 
-        position={[0, -0.2, 0.01]}
+        position={[0, -0.4, 0.01]}
         fontSize={0.08}
         color="#555555"
         anchorX="center"
@@ -189,172 +348,135 @@ function InfoWindow({ image, position }) {
         maxWidth={1.8}
         overflowWrap="break-word"
       >
-        {imageData.details || "No additional details available"}
+        {truncate(localize(image.details) || t('artwork.noDetails'), INFO_DETAILS_LENGTH)}
       </Text>
     </group>
   );
 }
 
-// Enhanced zoomed image view with error handling
-function ZoomedImageView({ imagePath, onClose, onNext, onPrevious }) {
-  const texture = useTexture(imagePath);
-  const [hasError, setHasError] = useState(false);
-  const { size } = useThree();
-  
-  // Load navigation icons with error handling
-  const [hasIconError, setHasIconError] = useState(false);
-  const prevIcon = useTexture('/assets/icons/left-arrow.png');
-  const nextIcon = useTexture('/assets/icons/right-arrow.png');
-  const closeIcon = useTexture('/assets/icons/close.png');
-  
-  // Add error handling for icon loading
-  useEffect(() => {
-    const handleError = () => {
-      console.error('Error loading navigation icons');
-      setHasIconError(true);
-    };
-    
-    const icons = [prevIcon, nextIcon, closeIcon];
-    
-    icons.forEach(icon => {
-      if (icon && icon.source && icon.source.data) {
-        icon.source.data.addEventListener('error', handleError);
-      }
-    });
-    
-    return () => {
-      icons.forEach(icon => {
-        if (icon && icon.source && icon.source.data) {
-          icon.source.data.removeEventListener('error', handleError);
-        }
-      });
-    };
-  }, [prevIcon, nextIcon, closeIcon]);
-  
-  // Remove camera manipulation
-  const imageAspect = texture && texture.image ? texture.image.width / texture.image.height : 1;
-  const viewportAspect = size.width / size.height;
-  
-  let width, height;
-  if (imageAspect > viewportAspect) {
-    width = 8; // Fixed width
-    height = width / imageAspect;
-  } else {
-    height = 8; // Fixed height
-    width = height * imageAspect;
+// Card layouts for FixedImagePopup: image and text side by side on landscape
+// screens, image stacked above the text on portrait ones
+const POPUP_LAYOUTS = {
+  landscape: {
+    cardWidth: 10,
+    cardHeight: 7,  // Reduced from 8 to 7 for a less tall appearance
+    imageContainer: { width: 5, height: 4.5, position: [-2, 0.3, 0.01] },
+    textBox: { width: 3.2, height: 4.5, position: [2.5, 0.3, 0.01] },
+    navigation: [3.5, -2.5, 0],
+  },
+  portrait: {
+    cardWidth: 6,
+    cardHeight: 10,
+    imageContainer: { width: 5, height: 4.5, position: [0, 2, 0.01] },
+    textBox: { width: 5, height: 3.2, position: [0, -1.9, 0.01] },
+    navigation: [0, -4.2, 0],
+  },
+};
+
+const POPUP_DISTANCE = 5; // How far in front of the camera the popup card floats
+
+// How an open artwork is shown: the HTML detail panel (default) or the in-canvas card
+const POPUP_STYLES = ['html', 'canvas'];
+
+// What clicking an artwork does: "popup" opens it in the popup (see
+// POPUP_STYLES), "info" shows a small info card beside it in the scene
+const INSPECT_MODES = ['popup', 'info'];
+const INSPECT_MODE_KEY = 'manifesta.inspectMode';
+
+// A `?inspect=` URL parameter wins over the visitor's last choice, which wins over the app's
+const resolveInspectMode = (preferredMode) => {
+  const fromUrl = new URLSearchParams(window.location.search).get('inspect');
+  if (fromUrl) {
+    if (INSPECT_MODES.includes(fromUrl)) return fromUrl;
+    console.warn(`Unknown inspect mode "${fromUrl}", expected one of ${INSPECT_MODES.join(', ')}`);
+  }
+  let saved = null;
+  try {
+    saved = window.localStorage.getItem(INSPECT_MODE_KEY);
+  } catch {
+    // Storage can be disabled
   }
+  if (INSPECT_MODES.includes(saved)) return saved;
+  return INSPECT_MODES.includes(preferredMode) ? preferredMode : INSPECT_MODES[0];
+};
 
-  return (
-    <group>
-      {/* Semi-transparent background */}
-      <Plane 
-        args={[size.width / 50, size.height / 50]} 
-        position={[0, 0, -0.1]}
-        onClick={onClose}
-      >
-        <meshBasicMaterial color="#000000" transparent opacity={0.85} />
-      </Plane>
-      
-      {/* Image with frame */}
-      <group>
-        {/* Frame */}
-        <Plane 
-          args={[width + 0.1, height + 0.1]} 
-          position={[0, 0, -0.01]}
-        >
-          <meshBasicMaterial color="#ffffff" />
-        </Plane>
-        
-        {/* Image */}
-        <Plane args={[width, height]} position={[0, 0, 0]}>
-          <meshBasicMaterial 
-            map={hasError ? null : texture} 
-            color={hasError ? "#ff6b9d" : "#ffffff"}
-            transparent 
-          />
-        </Plane>
-      </group>
-      
-      {/* Navigation controls with icons */}
-      <group position={[0, -height/2 - 0.8, 0]}>
-        {/* Previous button */}
-        <Plane 
-          args={[0.6, 0.6]}
-          position={[-2, 0, 0]}
-          onClick={(e) => {
-            e.stopPropagation();
-            onPrevious();
-          }}
-        >
-          <meshBasicMaterial 
-            map={hasIconError ? null : prevIcon} 
-            color="#ff6b9d" 
-            transparent
-          />
-        </Plane>
-        
-        {/* Next button */}
-        <Plane 
-          args={[0.6, 0.6]}
-          position={[2, 0, 0]}
-          onClick={(e) => {
-            e.stopPropagation();
-            onNext();
-          }}
-        >
-          <meshBasicMaterial 
-            map={hasIconError ? null : nextIcon} 
-            color="#ff6b9d" 
-            transparent
-          />
-        </Plane>
-        
-        {/* Close button */}
-        <Plane 
-          args={[0.6, 0.6]}
-          position={[0, 0, 0]}
-          onClick={(e) => {
-            e.stopPropagation();
-            onClose();
-          }}
-        >
-          <meshBasicMaterial 
-            map={hasIconError ? null : closeIcon} 
-            color="#ffffff" 
-            transparent
-          />
-        </Plane>
-      </group>
-    </group>
-  );
-}
+const saveInspectMode = (mode) => {
+  try {
+    window.localStorage.setItem(INSPECT_MODE_KEY, mode);
+  } catch {
+    // Not remembered across visits, but the switch itself still works
+  }
+};
+
+// A `?popup=` URL parameter wins over the style passed in by the app
+const resolvePopupStyle = (preferredStyle) => {
+  const style = new URLSearchParams(window.location.search).get('popup') || preferredStyle || POPUP_STYLES[0];
+  if (!POPUP_STYLES.includes(style)) {
+    console.warn(`Unknown popup style "${style}", expected one of ${POPUP_STYLES.join(', ')}`);
+    return POPUP_STYLES[0];
+  }
+  return style;
+};
 
 // Create a component that renders a fixed overlay using HTML and CSS
 // In the FixedImagePopup component
-function FixedImagePopup({ image, onClose, onNext, onPrevious }) {
-  const [hasError, setHasError] = useState(false);
-  const texture = useTexture(image.path);
-  
-  // Get description from imageDescriptions.json
-  const description = imageDescriptions[image.path] || "No description available.";
+function FixedImagePopup({ image, onClose, onNext, onPrevious, onOpenLightbox }) {
+  // Videos and animated images move here too; sound works show their cover
+  const playback = playbackOf(image);
+  const still = stillImageUrl(image);
+  const stillTexture = useResilientTexture(still);
+  const video = useVideoTexture(playback === 'video' ? image.url : null, true);
+  const animated = useAnimatedTexture(playback === 'animated' ? image.url : null, true);
+  const { texture: audioIcon } = useResilientTexture(playback === 'audio' ? AUDIO_ICON : null);
+  const texture = video.texture || animated.texture || stillTexture.texture;
+  const blank = playback === 'audio' && !still;
+  let status = stillTexture.status;
+  if (playback === 'video') {
+    status = video.error ? 'error' : texture ? 'ready' : 'loading';
+  } else if (blank) {
+    status = 'ready';
+  }
+  const retry = playback === 'video' ? video.retry : stillTexture.retry;
+  const canOpenLightbox = isPicture(image);
+  const { size, camera, gl } = useThree();
   
-  // Add error handling for texture loading
+  // Get description from the artwork catalog, in the current language
+  const { t, localize } = useTranslation();
+  const description = localize(image.description) || t('artwork.noDescription');
+
+  // Swipe left/right on touch screens for next/previous
   useEffect(() => {
-    const handleError = () => {
-      console.error(`Error loading texture for popup image: ${image.path}`);
-      setHasError(true);
+    const element = gl.domElement;
+    let start = null;
+
+    const handlePointerDown = (event) => {
+      if (event.pointerType === 'touch') start = { x: event.clientX, y: event.clientY };
     };
-    
-    if (texture && texture.source) {
-      const source = texture.source;
-      if (source.data) {
-        source.data.addEventListener('error', handleError);
-        return () => {
-          source.data.removeEventListener('error', handleError);
-        };
+    const handlePointerUp = (event) => {
+      if (!start || event.pointerType !== 'touch') return;
+      const direction = swipeDirection(start, { x: event.clientX, y: event.clientY });
+      start = null;
+      if (direction === 'left') {
+        onNext();
+      } else if (direction === 'right') {
+        onPrevious();
       }
-    }
-  }, [texture, image.path]);
+    };
+
+    element.addEventListener('pointerdown', handlePointerDown);
+    element.addEventListener('pointerup', handlePointerUp);
+    return () => {
+      element.removeEventListener('pointerdown', handlePointerDown);
+      element.removeEventListener('pointerup', handlePointerUp);
+    };
+  }, [gl, onNext, onPrevious]);
+
+  // Stack the card vertically on portrait screens, and shrink it when it would not fit the view
+  const layout = size.height > size.width ? POPUP_LAYOUTS.portrait : POPUP_LAYOUTS.landscape;
+  const { cardWidth, cardHeight } = layout;
+  const visibleHeight = 2 * POPUP_DISTANCE * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2);
+  const visibleWidth = visibleHeight * (size.width / size.height);
+  const fitScale = Math.min(1, (visibleWidth * 0.95) / cardWidth, (visibleHeight * 0.95) / cardHeight);
   
   // Use useFrame to ensure the popup is always in front of the camera
   const popupRef = useRef();
@@ -380,22 +502,19 @@ function FixedImagePopup({ image, onClose, onNext, onPrevious }) {
   useFrame(({ camera }) => {
     if (popupRef.current) {
       popupRef.current.position.copy(camera.position);
-      popupRef.current.position.z -= 5;
+      popupRef.current.position.z -= POPUP_DISTANCE;
       popupRef.current.quaternion.copy(camera.quaternion);
-      popupRef.current.scale.set(popupScale, popupScale, popupScale); // Apply scale
+      const scale = popupScale * fitScale;
+      popupRef.current.scale.set(scale, scale, scale); // Apply scale
     }
   });
   
   // Calculate image aspect ratio
-  const imageAspect = texture && texture.image ? texture.image.width / texture.image.height : 1;
+  const imageAspect = texture && texture.image ? textureAspect(texture) : 1;
   
-  // Fixed card dimensions
-  const cardWidth = 10;
-  const cardHeight = 7;  // Reduced from 8 to 7 for a less tall appearance
-  
-  // Fixed image container dimensions
-  const imageContainerWidth = 5;
-  const imageContainerHeight = 4.5;  // Adjusted to match the new card height
+  // Image container dimensions
+  const imageContainerWidth = layout.imageContainer.width;
+  const imageContainerHeight = layout.imageContainer.height;
   
   // Calculate image dimensions to fit within container while preserving aspect ratio
   let imageWidth, imageHeight;
@@ -421,9 +540,9 @@ function FixedImagePopup({ image, onClose, onNext, onPrevious }) {
     }
   }
   
-  // Fixed text box dimensions
-  const textBoxWidth = 3.2;
-  const textBoxHeight = 4.5;  // Adjusted to match the new card height
+  // Text box dimensions
+  const textBoxWidth = layout.textBox.width;
+  const textBoxHeight = layout.textBox.height;
   
   // Define rounded corners parameters
   const cornerRadius = 0.2; // Adjust this value to control the roundness
@@ -475,26 +594,55 @@ function FixedImagePopup({ image, onClose, onNext, onPrevious }) {
           />
         </Plane>
         
-        {/* Image container - fixed position and size */}
-        <group position={[-2, 0.3, 0.01]}>  {/* Moved from [-2, 0, 0.01] to [-2, 0.3, 0.01] */}
-          {/* Image with rounded corners */}
-          <Plane 
-            args={[imageWidth, imageHeight]} 
-            position={[0, 0, 0]}
-          >
-            <meshBasicMaterial 
-              map={hasError ? null : texture} 
-              transparent 
+        {/* Image container */}
+        <group position={layout.imageContainer.position}>
+          {/* Image with rounded corners, or a card saying it could not be loaded */}
+          {status === 'error' ? (
+            <UnavailableCard
+              width={imageWidth}
+              height={imageHeight}
+              title={image.title}
+              onRetry={retry}
               depthTest={false}
-              color={hasError ? "#ff6b9d" : "#ffffff"}
-              alphaMap={imageRoundedMask}
-              alphaTest={0.5}
             />
-          </Plane>
+          ) : (
+            <Plane 
+              args={[imageWidth, imageHeight]} 
+              position={[0, 0, 0]}
+            >
+              <meshBasicMaterial 
+                map={texture} 
+                transparent 
+                depthTest={false}
+                color={texture ? "#ffffff" : blank ? AUDIO_COLOR : PLACEHOLDER_COLOR}
+                alphaMap={imageRoundedMask}
+                alphaTest={0.5}
+              />
+            </Plane>
+          )}
+          {status === 'loading' && (
+            <LoadingPlane position={[0, 0, 0.01]} size={Math.min(imageWidth, imageHeight)} depthTest={false} />
+          )}
+          {audioIcon && status !== 'error' && (
+            <Plane
+              args={blank ? [1, 1] : [0.5, 0.5]}
+              position={blank ? [0, 0.2, 0.01] : [-imageWidth / 2 + 0.4, imageHeight / 2 - 0.4, 0.01]}
+            >
+              <meshBasicMaterial map={audioIcon} transparent depthTest={false} />
+            </Plane>
+          )}
+          {hasPlaybackControls(image) && status !== 'error' && (
+            <CanvasMediaControls
+              url={image.url}
+              kind={playback}
+              width={imageWidth}
+              position={[0, -imageHeight / 2 + 0.3, 0.02]}
+            />
+          )}
         </group>
         
-        {/* Description box - adjusted position slightly up and to the right */}
-        <group position={[2.5, 0.3, 0.01]}>
+        {/* Description box - right of the image, or below it on portrait screens */}
+        <group position={layout.textBox.position}>
           <Plane
             args={[textBoxWidth, textBoxHeight]}
             position={[0, 0, 0]}
@@ -523,8 +671,8 @@ function FixedImagePopup({ image, onClose, onNext, onPrevious }) {
           </Text>
         </group>
         
-        {/* Navigation buttons - fixed position */}
-        <group position={[3.5, -cardHeight/2 + 1, 0]}>
+        {/* Navigation buttons */}
+        <group position={layout.navigation}>
           <Plane args={[1.2, 0.5]} position={[-0.7, 0, 0]} onClick={(e) => {
             e.stopPropagation();
             onPrevious();
@@ -539,7 +687,7 @@ function FixedImagePopup({ image, onClose, onNext, onPrevious }) {
             anchorY="middle"
             depthTest={false}
           >
-            &lt; Previous
+            {t('artwork.previous')}
           </Text>
           
           <Plane args={[1.2, 0.5]} position={[0.7, 0, 0]} onClick={(e) => {
@@ -556,10 +704,32 @@ function FixedImagePopup({ image, onClose, onNext, onPrevious }) {
             anchorY="middle"
             depthTest={false}
           >
-            Next &gt;
+            {t('artwork.next')}
           </Text>
         </group>
         
+        {/* Fullscreen button, opposite the close button */}
+        {canOpenLightbox && (
+        <group position={[-cardWidth/2 + 1.2, cardHeight/2 - 0.5, 0.02]}>
+          <Plane args={[1.6, 0.45]} position={[0, 0, 0]} onClick={(e) => {
+            e.stopPropagation();
+            onOpenLightbox();
+          }}>
+            <meshBasicMaterial color="#eeeeee" transparent opacity={0.9} depthTest={false} />
+          </Plane>
+          <Text
+            position={[0, 0, 0.01]}
+            fontSize={0.15}
+            color="#222222"
+            anchorX="center"
+            anchorY="middle"
+            depthTest={false}
+          >
+            {t('lightbox.open')}
+          </Text>
+        </group>
+        )}
+
         {/* Close button (X) */}
         <group position={[cardWidth/2 - 0.5, cardHeight/2 - 0.5, 0.02]}>
           <Plane 
@@ -592,43 +762,118 @@ function FixedImagePopup({ image, onClose, onNext, onPrevious }) {
   );
 }
 
+// How artwork planes are drawn: one mesh per artwork ("planes"), or all of
+// them batched into one instanced mesh ("instanced", see InstancedGallery).
+// "auto" switches to instanced rendering for catalogs above INSTANCED_THRESHOLD.
+const RENDER_MODES = ['auto', 'planes', 'instanced'];
+const INSTANCED_THRESHOLD = 200;
+const LAYOUT_SETTLE_DELAY = 300; // Milliseconds without new plane sizes before the layout is recomputed
+
+// A `?render=` URL parameter wins over the mode passed in by the app
+const resolveRenderMode = (preferredMode) => {
+  const mode = new URLSearchParams(window.location.search).get('render') || preferredMode || RENDER_MODES[0];
+  if (!RENDER_MODES.includes(mode)) {
+    console.warn(`Unknown render mode "${mode}", expected one of ${RENDER_MODES.join(', ')}`);
+    return RENDER_MODES[0];
+  }
+  return mode;
+};
+
 // New component to hold the scene content and R3F hooks
 function SceneContent({
   showPopup,
+  showCanvasPopup,
+  showInfoWindow,
+  instanced,
   selectedImageIndex,
   imagesData,
   planePositions,
+  emotionRegions,
+  matchingIds,
+  hideNonMatching,
+  focusedIndex,
+  particles = false,
+  editing = false,
+  editingId = null,
+  onMoveArtwork,
   handleImageClick,
+  handlePlaneSize,
   handleClosePopup,
+  handleCloseInfoWindow,
+  handleOpenLightbox,
   handleNext,
-  handlePrevious
+  handlePrevious,
+  planeSizes,
+  requestedView,
+  onViewChange,
+  cameraViewRef,
+  transitionOptions = DEFAULT_TRANSITION
 }) {
   const controlsRef = useRef();
   const { camera } = useThree(); // Moved from Experience
+  const touchDevice = useMemo(() => isTouchDevice(), []);
 
   // Refs for animation targets and state - Moved from Experience
   const targetCameraPositionRef = useRef(null);
   const targetControlsLookAtRef = useRef(null);
   const isAnimatingPanRef = useRef(false);
 
+  // Camera view requested from the URL, applied once MapControls has mounted
+  const pendingViewRef = useRef(null);
+  const lastReportedViewRef = useRef(null);
+  const lastViewCheckRef = useRef(0);
+
+  useEffect(() => {
+    if (requestedView) pendingViewRef.current = requestedView;
+  }, [requestedView]);
+
+  // Timed camera transition currently running, if any (see cameraTransition.js)
+  const transitionRef = useRef(null);
+  // Flight towards the selected artwork, or back to the overview, waiting for MapControls
+  const pendingFlightRef = useRef(null);
+  // Camera view from before the first artwork was opened, to return to on close
+  const overviewRef = useRef(null);
+  const wasPopupOpenRef = useRef(false);
+
+  // Fly to the artwork whenever the popup opens or moves to another work, and back when it closes
+  useEffect(() => {
+    if (showPopup && selectedImageIndex !== null && planePositions[selectedImageIndex]) {
+      const [x, y] = planePositions[selectedImageIndex];
+      const size = planeSizes[imagesData[selectedImageIndex].id] || unmeasuredPlaneSize(imagesData[selectedImageIndex].scale);
+      pendingFlightRef.current = { x, y, ...size };
+    } else if (!showPopup && wasPopupOpenRef.current) {
+      pendingFlightRef.current = { overview: true };
+    }
+    wasPopupOpenRef.current = showPopup;
+  }, [showPopup, selectedImageIndex, planePositions, planeSizes, imagesData]);
+
+  // Where the camera may go (see mapBounds.js)
+  const bounds = useMemo(() => catalogBounds(imagesData, planePositions, planeSizes), [imagesData, planePositions, planeSizes]);
+  const boundsRef = useRef(bounds);
+  boundsRef.current = bounds;
+
   // Keyboard navigation handler - Moved from Experience
   useEffect(() => {
     const panOffset = new THREE.Vector3();
 
     const handleKeyDown = (event) => {
       if (showPopup) return;
-      
-      const moveDistance = 0.2;
+      // Leave arrow keys to text fields such as the search box
+      if (event.target.closest && event.target.closest('input, textarea, select')) return;
       
       if (!controlsRef.current || !controlsRef.current.object) {
         console.warn("MapControls ref or its camera object not yet available for keydown.");
         return;
       }
 
-      if (!targetCameraPositionRef.current) {
+      // Steps scale with the zoom, like panning with the pointer
+      const moveDistance = keyPanStep(controlsRef.current.object.position.distanceTo(controlsRef.current.target));
+
+      // Start from where the camera is now, unless a keyboard pan is still under way
+      if (!targetCameraPositionRef.current || !isAnimatingPanRef.current) {
         targetCameraPositionRef.current = controlsRef.current.object.position.clone();
       }
-      if (!targetControlsLookAtRef.current) {
+      if (!targetControlsLookAtRef.current || !isAnimatingPanRef.current) {
         targetControlsLookAtRef.current = controlsRef.current.target.clone();
       }
 
@@ -657,8 +902,20 @@ function SceneContent({
       }
 
       if (didPan) {
+        transitionRef.current = null; // Keyboard input interrupts a camera flight
         targetCameraPositionRef.current.add(panOffset);
         targetControlsLookAtRef.current.add(panOffset);
+
+        // Stop at the edge of the map rather than stretching past it
+        const bounds = boundsRef.current;
+        if (bounds) {
+          const lookAt = targetControlsLookAtRef.current;
+          const [x, y] = clampToBounds(lookAt.x, lookAt.y, bounds);
+          targetCameraPositionRef.current.x += x - lookAt.x;
+          targetCameraPositionRef.current.y += y - lookAt.y;
+          lookAt.x = x;
+          lookAt.y = y;
+        }
         isAnimatingPanRef.current = true;
       }
     };
@@ -670,8 +927,147 @@ function SceneContent({
     };
   }, [showPopup, camera]); // Added camera to dependencies as currentCamera is derived from it
 
+  // Fly the camera so that it looks at (x, y), keeping the current zoom unless a distance is given
+  const flyTo = useCallback((x, y, distance, options = transitionOptions) => {
+    const controls = controlsRef.current;
+    if (!controls || !controls.object) return;
+    transitionRef.current = createFlight(controls, x, y, distance, options);
+    isAnimatingPanRef.current = false;
+  }, [transitionOptions]);
+
+  const panTo = useCallback((point) => flyTo(point[0], point[1]), [flyTo]);
+
+  // Curator mode: the map must not pan along with an artwork being dragged.
+  // The controls are switched off right away, before the pointer moves again.
+  const [dragging, setDragging] = useState(false);
+  const handleDragStart = useCallback(() => {
+    if (controlsRef.current) controlsRef.current.enabled = false;
+    setDragging(true);
+  }, []);
+  const handleDragEnd = useCallback((id, position) => {
+    setDragging(false);
+    if (position) onMoveArtwork(id, position);
+  }, [onMoveArtwork]);
+
+  // Each plane gets its own error boundary, so one broken artwork only replaces itself with a card
+  const renderImagePlane = (index, props = {}) => {
+    const image = imagesData[index];
+    const position = planePositions[index];
+    const hidden = hideNonMatching && matchingIds !== null && !matchingIds.has(image.id);
+    return (
+      <ArtworkBoundary
+        key={image.id}
+        label={`id ${image.id}`}
+        fallback={(retry) => !hidden && (
+          <UnavailableCard
+            {...unmeasuredPlaneSize(image.scale)}
+            position={position}
+            title={image.title}
+            onRetry={retry}
+            onClick={() => handleImageClick(image.id)}
+          />
+        )}
+      >
+        <ImagePlane
+          id={image.id}
+          path={image.url}
+          still={stillImageUrl(image)}
+          playback={playbackOf(image)}
+          variants={image.variants}
+          title={image.title}
+          position={position}
+          scale={image.scale}
+          onClick={handleImageClick}
+          onSizeChange={handlePlaneSize}
+          dimmed={matchingIds !== null && !matchingIds.has(image.id)}
+          hidden={hidden}
+          focused={index === focusedIndex}
+          selected={editing && image.id === editingId}
+          editable={editing}
+          onDragStart={handleDragStart}
+          onDragEnd={handleDragEnd}
+          {...props}
+        />
+      </ArtworkBoundary>
+    );
+  };
+
   // useFrame hook for smooth panning animation - Moved from Experience
-  useFrame(() => {
+  useFrame(({ clock }, delta) => {
+    const controls = controlsRef.current;
+    const controlsReady = controls && controls.object;
+
+    // Fly to the selected artwork, framing it, or back to the overview
+    if (pendingFlightRef.current && controlsReady) {
+      const flight = pendingFlightRef.current;
+      pendingFlightRef.current = null;
+      pendingViewRef.current = null; // Opening an artwork wins over a view from the URL
+
+      if (flight.overview) {
+        if (overviewRef.current) {
+          const { x, y, distance } = overviewRef.current;
+          flyTo(x, y, distance);
+          overviewRef.current = null;
+        }
+      } else {
+        if (!overviewRef.current) {
+          overviewRef.current = {
+            x: controls.target.x,
+            y: controls.target.y,
+            distance: controls.object.position.distanceTo(controls.target),
+          };
+        }
+        flyTo(flight.x, flight.y, fitDistance(controls.object, flight.width, flight.height));
+      }
+    }
+
+    // Fly to a view requested from the URL; views without a distance keep the current zoom,
+    // `instant` ones (dragging on the minimap) jump there in this frame
+    if (pendingViewRef.current && controlsReady) {
+      const { x, y, distance, instant } = pendingViewRef.current;
+      pendingViewRef.current = null;
+      flyTo(x, y, distance, instant ? { duration: 0 } : transitionOptions);
+    }
+
+    if (transitionRef.current && controlsReady) {
+      if (stepTransition(transitionRef.current, controls, delta)) {
+        transitionRef.current = null;
+      }
+    }
+
+    // Zoom-aware limits, and the rubber band pulling the view back over the collection
+    if (controlsReady) {
+      controls.maxDistance = maxZoomOut(controls.object, bounds);
+      controls.panSpeed = panSpeedFor(controls.object.position.distanceTo(controls.target));
+      if (bounds && !transitionRef.current && !isAnimatingPanRef.current) {
+        stepBounds(controls, bounds, delta);
+      }
+    }
+
+    // Share the area of the map in view with the minimap, every frame
+    if (cameraViewRef && controlsReady) {
+      const distance = controls.object.position.distanceTo(controls.target);
+      const height = 2 * distance * Math.tan(THREE.MathUtils.degToRad(controls.object.fov) / 2);
+      cameraViewRef.current = { x: controls.target.x, y: controls.target.y, width: height * controls.object.aspect, height };
+    }
+
+    // Report the camera view a couple of times per second while it is at rest
+    if (onViewChange && controlsReady && !isAnimatingPanRef.current && !transitionRef.current &&
+        clock.elapsedTime - lastViewCheckRef.current > 0.5) {
+      lastViewCheckRef.current = clock.elapsedTime;
+      const view = {
+        x: controls.target.x,
+        y: controls.target.y,
+        distance: controls.object.position.distanceTo(controls.target),
+      };
+      const last = lastReportedViewRef.current;
+      if (!last || Math.abs(last.x - view.x) > 0.01 || Math.abs(last.y - view.y) > 0.01 ||
+          Math.abs(last.distance - view.distance) > 0.01) {
+        lastReportedViewRef.current = view;
+        onViewChange(view);
+      }
+    }
+
     if (isAnimatingPanRef.current && controlsRef.current && targetCameraPositionRef.current && targetControlsLookAtRef.current) {
       const smoothingFactor = 0.1;
       const distanceThreshold = 0.01;
@@ -700,55 +1096,387 @@ function SceneContent({
     <>
       <ambientLight intensity={0.6} />
       <directionalLight position={[10, 10, 10]} intensity={1} />
+      {particles && (
+        <ParticleField entry={showPopup && selectedImageIndex !== null ? imagesData[selectedImageIndex] : null} />
+      )}
+      {emotionRegions && (
+        <EmotionMap regions={emotionRegions} onRegionClick={panTo} />
+      )}
       <Suspense fallback={null}>
         <MapControls 
           ref={controlsRef}
           enableDamping={true}
           dampingFactor={0.03} // Changed from 0.05 to reduce gradual slowdown
           screenSpacePanning={true} 
-          minDistance={1}
-          maxDistance={50}
+          minDistance={1} // maxDistance and panSpeed follow the zoom and the catalog, see mapBounds.js
           maxPolarAngle={Math.PI / 2}
           enableZoom={true}
-          zoomSpeed={1.2}   // Kept as is, good base speed
+          zoomSpeed={touchDevice ? 0.8 : 1.2}   // Pinch zoom is more sensitive than the wheel
           enablePan={true}
-          panSpeed={1.2}    // Increased from 1.0 for faster panning
           enableRotate={false}
+          enabled={!showPopup && !dragging} // The popup follows the camera, so the map stays put while it is open
           mouseButtons={{ 
             LEFT: THREE.MOUSE.PAN,    
             MIDDLE: THREE.MOUSE.DOLLY,  
             RIGHT: THREE.MOUSE.PAN     
           }}
+          touches={{
+            ONE: THREE.TOUCH.PAN,       // One finger drags the map
+            TWO: THREE.TOUCH.DOLLY_PAN  // Pinch to zoom, two fingers to pan
+          }}
         />
-        {imagesData.map((image, index) => (
-          <ImagePlane
-            key={image.id}
-            id={image.id}
-            path={image.path}
-            position={planePositions[index]}
+        {instanced ? (
+          <InstancedGallery
+            entries={imagesData}
+            positions={planePositions}
+            sizes={planeSizes}
+            matchingIds={matchingIds}
+            hideNonMatching={hideNonMatching}
+            focusedIndex={focusedIndex}
             onClick={handleImageClick}
+            onSizeChange={handlePlaneSize}
+            renderDetail={(index) => renderImagePlane(index, { focused: false, placeholder: false })}
           />
-        ))}
+        ) : (
+          imagesData.map((image, index) => renderImagePlane(index))
+        )}
       </Suspense>
-      {showPopup && selectedImageIndex !== null && (
-        <FixedImagePopup
-          image={imagesData[selectedImageIndex]}
-          onClose={handleClosePopup}
-          onNext={handleNext}
-          onPrevious={handlePrevious}
-        />
+      <ReactionMarkers
+        entries={imagesData}
+        positions={planePositions}
+        sizes={planeSizes}
+        matchingIds={matchingIds}
+        hideNonMatching={hideNonMatching}
+      />
+      {showPopup && showCanvasPopup && selectedImageIndex !== null && (
+        <ArtworkBoundary key={imagesData[selectedImageIndex].id} label="popup">
+          <FixedImagePopup
+            image={imagesData[selectedImageIndex]}
+            onClose={handleClosePopup}
+            onNext={handleNext}
+            onPrevious={handlePrevious}
+            onOpenLightbox={handleOpenLightbox}
+          />
+        </ArtworkBoundary>
+      )}
+      {showInfoWindow && !showPopup && selectedImageIndex !== null && planePositions[selectedImageIndex] && (
+        <ArtworkBoundary key={imagesData[selectedImageIndex].id} label="info window">
+          <InfoWindow
+            image={imagesData[selectedImageIndex]}
+            position={planePositions[selectedImageIndex]}
+            planeSize={planeSizes[imagesData[selectedImageIndex].id] || unmeasuredPlaneSize(imagesData[selectedImageIndex].scale)}
+            onClose={handleCloseInfoWindow}
+          />
+        </ArtworkBoundary>
       )}
     </>
   );
 }
 
-function Experience() {
+// Experience loads its artworks at runtime from a JSON manifest. `catalogUrl`
+// points at that manifest and `layoutMode` picks how planes are arranged
+// (see layout.js); `?catalog=` and `?layout=` URL parameters override them.
+// `flyDuration` (seconds) and `flyEasing` (a name from cameraTransition.js)
+// tune the camera flight to and from the selected artwork. `popupStyle` is
+// "html" for the detail panel or "canvas" for the in-scene card (`?popup=`).
+// `inspectMode` picks what a click on an artwork opens (see INSPECT_MODES);
+// visitors can switch it, and `?inspect=` overrides it. Guided tours are read
+// from `toursUrl`, by default tours.json next to the catalog (`?tours=`).
+// Reactions are shared through the backend at `reactionsApi` (`?reactionsApi=`,
+// see Service/reactionBackend.js), or only between the visits of this browser.
+// `renderMode` picks plain or instanced planes (`?render=`, see RENDER_MODES);
+// a `?stats` URL parameter shows a frame time meter, and `?edit` turns on the
+// curator mode (see Service/editor.js).
+function Experience({
+  catalogUrl,
+  layoutMode,
+  popupStyle,
+  inspectMode: preferredInspectMode,
+  renderMode,
+  toursUrl,
+  reactionsApi,
+  flyDuration = DEFAULT_TRANSITION.duration,
+  flyEasing = DEFAULT_TRANSITION.easing
+}) {
   const [selectedImageIndex, setSelectedImageIndex] = useState(null);
   const [showPopup, setShowPopup] = useState(false);
-  const [popupText, setPopupText] = useState(''); // This state seems unused, consider removing if not needed
+  const [catalogState, setCatalogState] = useState({ status: 'loading', entries: [], error: null });
+  const [catalogAttempt, setCatalogAttempt] = useState(0);
+  const resolvedCatalogUrl = useMemo(() => resolveCatalogUrl(catalogUrl), [catalogUrl]);
+  const imagesData = catalogState.entries;
+  const resolvedPopupStyle = useMemo(() => resolvePopupStyle(popupStyle), [popupStyle]);
+  const openIndex = showPopup ? selectedImageIndex : null;
+  // Shared by the hidden gallery dialog and the detail panel, whichever is shown
+  const artworkDialog = useArtworkDialog(imagesData, openIndex);
+  const [inspectMode, setInspectMode] = useState(() => resolveInspectMode(preferredInspectMode));
+  const [showInfoWindow, setShowInfoWindow] = useState(false);
+  const [showLightbox, setShowLightbox] = useState(false);
+  const resolvedRenderMode = useMemo(() => resolveRenderMode(renderMode), [renderMode]);
+  const editing = useMemo(isEditorEnabled, []);
+  // Curators drag individual planes, which the instanced path does not support
+  const instanced = !editing && (resolvedRenderMode === 'instanced' ||
+    (resolvedRenderMode === 'auto' && imagesData.length > INSTANCED_THRESHOLD));
+  const showStats = useMemo(() => new URLSearchParams(window.location.search).has('stats'), []);
+  // The particle background is decoration only, so it is left out wherever motion or power is a concern
+  const showParticles = useMemo(() => !prefersReducedMotion() && !isLowPowerDevice(), []);
+  const transitionOptions = useMemo(() => ({ duration: flyDuration, easing: flyEasing }), [flyDuration, flyEasing]);
+  const { t } = useTranslation();
+
+  // Fetch the catalog at startup, and again whenever the source changes or the visitor retries
+  useEffect(() => {
+    // A curator's unexported draft replaces the published catalog
+    const draft = editing ? loadDraft(resolvedCatalogUrl) : null;
+    if (draft) {
+      setCatalogState({ status: 'ready', entries: draft, error: null });
+      return;
+    }
+
+    const controller = new AbortController();
+    setCatalogState(prev => ({ ...prev, status: 'loading', error: null }));
+
+    loadCatalog(resolvedCatalogUrl, { signal: controller.signal })
+      .then(entries => {
+        setCatalogState({ status: 'ready', entries, error: null });
+
+        // Open the artwork named in the URL, if any
+        const route = currentRoute();
+        const index = findWorkIndex(entries, route.workId);
+        if (route.workId !== null && index < 0) {
+          console.warn(`No artwork with id "${route.workId}" in the catalog`);
+          replaceRoute({ ...route, workId: null });
+        }
+        setSelectedImageIndex(index >= 0 ? index : null);
+        setShowPopup(index >= 0);
+      })
+      .catch(error => {
+        if (controller.signal.aborted) return;
+        console.error(`[catalog] ${error.message}`);
+        setCatalogState({ status: 'error', entries: [], error });
+      });
+
+    return () => controller.abort();
+  }, [resolvedCatalogUrl, catalogAttempt, editing]);
+
+  // Guided tours, loaded once the catalog they point into is ready
+  const resolvedToursUrl = useMemo(() => resolveToursUrl(toursUrl, resolvedCatalogUrl), [toursUrl, resolvedCatalogUrl]);
+  const [tours, setTours] = useState([]);
+
+  useEffect(() => {
+    if (editing || catalogState.status !== 'ready') return;
+    const controller = new AbortController();
+    loadTours(resolvedToursUrl, imagesData, { signal: controller.signal })
+      .then(setTours)
+      .catch(() => {
+        // Aborted because the catalog changed; the next load takes over
+      });
+    return () => controller.abort();
+  }, [editing, catalogState.status, imagesData, resolvedToursUrl]);
+
+  // Share the visitor's reactions and fetch everyone's
+  const resolvedReactionsApi = useMemo(() => resolveReactionsApi(reactionsApi), [reactionsApi]);
+  useSharedReactions(resolvedReactionsApi);
+
+  // Running guided tour: which tour, which stop, and whether autoplay is on.
+  // Each stop opens its artwork in the popup; closing the popup ends the tour.
+  const [tourState, setTourState] = useState(null);
+  const activeTour = tourState ? tours.find(tour => tour.id === tourState.id) || null : null;
+
+  // Curators place works by hand, so they always see the catalog positions
+  const resolvedLayoutMode = useMemo(() => editing ? 'catalog' : resolveLayoutMode(layoutMode), [editing, layoutMode]);
+  const [planeSizes, setPlaneSizes] = useState({});
+  // Sizes the layout is computed from. Planes report their sizes one by one
+  // as textures stream in, so these only follow once the reports settle.
+  const [layoutSizes, setLayoutSizes] = useState(planeSizes);
+  useEffect(() => {
+    const timer = setTimeout(() => setLayoutSizes(planeSizes), LAYOUT_SETTLE_DELAY);
+    return () => clearTimeout(timer);
+  }, [planeSizes]);
   const planePositions = useMemo(() => 
-    imagesData.map(image => image.position || [0, 0, 0])
-  , []);
+    computeLayout(imagesData, resolvedLayoutMode, layoutSizes)
+  , [imagesData, resolvedLayoutMode, layoutSizes]);
+
+  // Cluster centres for the region labels of the emotional map
+  const emotionRegions = useMemo(() =>
+    resolvedLayoutMode === 'emotion' ? emotionRegionCenters(imagesData, planePositions) : null
+  , [resolvedLayoutMode, imagesData, planePositions]);
+
+  // Planes report their real size once their texture has loaded, so the layout can account for it
+  const handlePlaneSize = useCallback((id, size) => {
+    setPlaneSizes(prev => {
+      const known = prev[id];
+      if (known && known.width === size.width && known.height === size.height) return prev;
+      return { ...prev, [id]: size };
+    });
+  }, []);
+
+  // Camera view to restore, from the URL at startup and on back/forward navigation
+  const [requestedView, setRequestedView] = useState(() => currentRoute().view);
+
+  // Mirror the open artwork in the URL; every change is a new history entry
+  useEffect(() => {
+    if (catalogState.status !== 'ready') return;
+    const openImage = showPopup && selectedImageIndex !== null ? imagesData[selectedImageIndex] : null;
+    const workId = openImage ? String(openImage.id) : null;
+    const route = currentRoute();
+    if (route.workId !== workId) {
+      pushRoute({ ...route, workId });
+    }
+  }, [catalogState.status, showPopup, selectedImageIndex, imagesData]);
+
+  // Browser back/forward: restore the popup and camera view from the URL
+  useEffect(() => {
+    const handlePopState = () => {
+      setTourState(null); // Moving through history leaves the tour
+      const route = currentRoute();
+      const index = findWorkIndex(imagesData, route.workId);
+      setSelectedImageIndex(index >= 0 ? index : null);
+      setShowPopup(index >= 0);
+      if (route.view) setRequestedView(route.view);
+    };
+
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [imagesData]);
+
+  // Search filter over the catalog; matchingIds is null while no filter is active
+  const [filter, setFilter] = useState({ query: '', tags: [], hideOthers: false });
+  const matchingIds = useMemo(() =>
+    isFilterActive(filter) ? new Set(filterCatalog(imagesData, filter).map(image => image.id)) : null
+  , [imagesData, filter]);
+
+  // Choosing a search result opens its popup, which flies the camera to that plane,
+  // or in the info mode shows its info card and pans over to it
+  const handleSearchSelect = useCallback((id) => {
+    const index = imagesData.findIndex(img => img.id === id);
+    if (index < 0) return;
+    setSelectedImageIndex(index);
+    if (inspectMode === 'info') {
+      setShowInfoWindow(true);
+      const [x, y] = planePositions[index];
+      setRequestedView({ x, y });
+      return;
+    }
+    setShowPopup(true);
+  }, [imagesData, inspectMode, planePositions]);
+
+  // Artwork focused in the accessible mirror; its plane is highlighted and brought into view
+  const [focusedIndex, setFocusedIndex] = useState(null);
+  const handleFocusArtwork = useCallback((index, { bringIntoView = true } = {}) => {
+    setFocusedIndex(index);
+    if (bringIntoView && index !== null && planePositions[index]) {
+      const [x, y] = planePositions[index];
+      setRequestedView({ x, y });
+    }
+  }, [planePositions]);
+
+  const handleOpenArtwork = useCallback((index) => {
+    setSelectedImageIndex(index);
+    setShowPopup(true);
+  }, []);
+
+  // The minimap moves the camera like any other requested view
+  const cameraViewRef = useRef(null);
+  const handleMinimapNavigate = useCallback((x, y, { instant }) => {
+    setRequestedView({ x, y, instant });
+  }, []);
+
+  // Camera moves update the URL without adding history entries
+  const lastViewRef = useRef(null);
+  const handleViewChange = useCallback((view) => {
+    lastViewRef.current = view;
+    replaceRoute({ ...currentRoute(), view });
+  }, []);
+
+  // Curator mode: every edit goes to the catalog state and is saved as a draft
+  const [editingId, setEditingId] = useState(null);
+  const [storageFull, setStorageFull] = useState(false);
+  const draftDirtyRef = useRef(false);
+
+  const editCatalog = useCallback((update) => {
+    draftDirtyRef.current = true;
+    setCatalogState(prev => ({ ...prev, entries: update(prev.entries) }));
+  }, []);
+
+  useEffect(() => {
+    if (!draftDirtyRef.current) return;
+    draftDirtyRef.current = false;
+    setStorageFull(!saveDraft(resolvedCatalogUrl, imagesData));
+  }, [imagesData, resolvedCatalogUrl]);
+
+  const handleEditArtwork = useCallback((id, changes) => {
+    editCatalog(entries => entries.map(entry => (entry.id === id ? { ...entry, ...changes } : entry)));
+  }, [editCatalog]);
+
+  const handleMoveArtwork = useCallback((id, position) => {
+    handleEditArtwork(id, { position });
+  }, [handleEditArtwork]);
+
+  const handleDeleteArtwork = useCallback((id) => {
+    editCatalog(entries => entries.filter(entry => entry.id !== id));
+    removeDraftImage(id);
+    setEditingId(null);
+    setShowPopup(false);
+    setSelectedImageIndex(null);
+  }, [editCatalog]);
+
+  // Dropped images are placed side by side around the middle of the current view
+  const handleAddImages = useCallback(async (files) => {
+    const view = lastViewRef.current || { x: 0, y: 0 };
+    const added = [];
+    for (const [offset, file] of files.entries()) {
+      try {
+        added.push({ ...(await readImageFile(file)), position: [view.x + offset * 2, view.y, 0] });
+      } catch (error) {
+        console.error(`[editor] ${error.message}`);
+      }
+    }
+    if (added.length === 0) return;
+
+    const firstId = nextArtworkId(imagesData);
+    const raw = added.map(({ fileName, title, position }, i) => ({
+      id: firstId + i,
+      path: `assets/img/${fileName}`,
+      title,
+      position,
+    }));
+    const manifestUrl = new URL(resolvedCatalogUrl, document.baseURI).href;
+    const { entries: parsed, problems } = parseCatalog(raw, 'dropped images', manifestUrl);
+    reportCatalogProblems(problems);
+
+    // The draft only keeps the catalog entry, the image itself is stored on its own
+    const newEntries = parsed.map((entry, i) => {
+      if (!saveDraftImage(entry.id, added[i].dataUrl)) setStorageFull(true);
+      return { ...entry, url: added[i].dataUrl };
+    });
+    if (newEntries.length === 0) return;
+    editCatalog(entries => [...entries, ...newEntries]);
+    setEditingId(newEntries[newEntries.length - 1].id);
+  }, [editCatalog, imagesData, resolvedCatalogUrl]);
+
+  const handleExportCatalog = useCallback(() => exportCatalog(imagesData), [imagesData]);
+  const localImagePaths = useMemo(() => imagesData.filter(hasLocalImage).map(entry => entry.path), [imagesData]);
+
+  const handleResetDraft = useCallback(() => {
+    clearDraft();
+    draftDirtyRef.current = false;
+    setStorageFull(false);
+    setEditingId(null);
+    setCatalogAttempt(n => n + 1);
+  }, []);
+
+  // In development, warn about catalog entries whose image file is missing.
+  // Checked once per loaded catalog, not on every curator edit; images the
+  // curator added live in the draft as data: URLs and need no check.
+  const checkedCatalogRef = useRef(null);
+  useEffect(() => {
+    if (!import.meta.env.DEV || catalogState.status !== 'ready') return;
+    const key = `${resolvedCatalogUrl}#${catalogAttempt}`;
+    if (checkedCatalogRef.current === key) return;
+    checkedCatalogRef.current = key;
+    findMissingFiles(imagesData.filter(entry => !hasLocalImage(entry))).then(missing => {
+      missing.forEach(entry => console.error(`[catalog] id ${entry.id}: file not found at "${entry.path}"`));
+    });
+  }, [imagesData, catalogState.status, resolvedCatalogUrl, catalogAttempt]);
   
   // const controlsRef = useRef(); // Moved to SceneContent
   // const { camera } = useThree(); // Moved to SceneContent
@@ -758,27 +1486,159 @@ function Experience() {
   // const targetControlsLookAtRef = useRef(null);
   // const isAnimatingPanRef = useRef(false);
 
-  const handleImageClick = useCallback((id, path, position) => {
+  // The camera flight is aimed from the layout (see SceneContent), for clicks
+  // as for Next/Previous and deep links, so only the id matters here
+  const handleImageClick = useCallback((id) => {
+    // Curators select works to edit them instead of opening them
+    if (editing) {
+      setEditingId(id);
+      return;
+    }
     const index = imagesData.findIndex(img => img.id === id);
+    if (inspectMode === 'info') {
+      // Clicking the artwork whose card is open closes the card again
+      const isOpen = showInfoWindow && index === selectedImageIndex;
+      setSelectedImageIndex(isOpen ? null : index);
+      setShowInfoWindow(!isOpen);
+      return;
+    }
+    setSelectedImageIndex(index);
+    setShowPopup(true);
+  }, [imagesData, editing, inspectMode, showInfoWindow, selectedImageIndex]);
+
+  const goToStop = useCallback((tour, stop) => {
+    setTourState(prev => ({ playing: true, ...prev, id: tour.id, stop }));
+    const index = findWorkIndex(imagesData, tour.stops[stop].artwork);
+    if (index < 0) return;
     setSelectedImageIndex(index);
     setShowPopup(true);
-    // setPopupText(''); // Or load saved text for this image if you want
+    setShowInfoWindow(false);
+  }, [imagesData]);
+
+  const handleStartTour = useCallback((id) => {
+    const tour = tours.find(candidate => candidate.id === id);
+    if (!tour) return;
+    setTourState({ id, stop: 0, playing: true });
+    goToStop(tour, 0);
+  }, [tours, goToStop]);
+
+  const handleExitTour = useCallback(() => {
+    setTourState(null);
+    setShowPopup(false);
+  }, []);
+
+  const handleToggleTour = useCallback(() => {
+    setTourState(prev => prev && { ...prev, playing: !prev.playing });
   }, []);
 
   const handleClosePopup = useCallback(() => {
+    setTourState(null);
     setShowPopup(false);
   }, []);
 
+  const handleCloseInfoWindow = useCallback(() => {
+    setShowInfoWindow(false);
+  }, []);
+
+  const handleInspectModeChange = useCallback((mode) => {
+    saveInspectMode(mode);
+    setInspectMode(mode);
+    setShowInfoWindow(false);
+  }, []);
+
+  // The fullscreen lightbox shows the open artwork; fullscreen has to be
+  // requested right away, while the click that opened it still counts
+  const handleOpenLightbox = useCallback(() => {
+    enterFullscreen();
+    setShowLightbox(true);
+  }, []);
+
+  const handleCloseLightbox = useCallback(() => {
+    exitFullscreen();
+    setShowLightbox(false);
+  }, []);
+
+  // Closing the artwork, e.g. with the browser's back button, closes its lightbox
+  // too. So does a tour moving on to a video or sound work, which the lightbox
+  // cannot show: the popup, with its player, takes over.
+  useEffect(() => {
+    if (!showLightbox) return;
+    const image = showPopup && selectedImageIndex !== null ? imagesData[selectedImageIndex] : null;
+    if (!image || !isPicture(image)) handleCloseLightbox();
+  }, [showPopup, showLightbox, selectedImageIndex, imagesData, handleCloseLightbox]);
+
+  // Escape closes the info card
+  useEffect(() => {
+    if (!showInfoWindow) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') handleCloseInfoWindow();
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showInfoWindow, handleCloseInfoWindow]);
+
+  // During a tour Next/Previous follow its stops, and Next on the last stop ends it
   const handleNext = useCallback(() => {
+    if (activeTour) {
+      if (tourState.stop + 1 < activeTour.stops.length) {
+        goToStop(activeTour, tourState.stop + 1);
+      } else {
+        handleExitTour();
+      }
+      return;
+    }
     setSelectedImageIndex((prev) => (prev + 1) % imagesData.length);
-    // setPopupText('');
-  }, []);
+  }, [imagesData, activeTour, tourState, goToStop, handleExitTour]);
 
   const handlePrevious = useCallback(() => {
+    if (activeTour) {
+      if (tourState.stop > 0) goToStop(activeTour, tourState.stop - 1);
+      return;
+    }
     setSelectedImageIndex((prev) => (prev - 1 + imagesData.length) % imagesData.length);
-    // setPopupText('');
-  }, []);
+  }, [imagesData, activeTour, tourState, goToStop]);
+
+  // The lightbox steps over works it cannot show. Tours keep their order,
+  // and hand video and sound stops back to the popup (see above).
+  const stepToPicture = useCallback((step) => {
+    setSelectedImageIndex((prev) => {
+      const count = imagesData.length;
+      for (let offset = 1; offset < count; offset++) {
+        const index = (((prev + step * offset) % count) + count) % count;
+        if (isPicture(imagesData[index])) return index;
+      }
+      return prev;
+    });
+  }, [imagesData]);
+  const handleLightboxNext = useCallback(() => (activeTour ? handleNext() : stepToPicture(1)), [activeTour, handleNext, stepToPicture]);
+  const handleLightboxPrevious = useCallback(() => (activeTour ? handlePrevious() : stepToPicture(-1)), [activeTour, handlePrevious, stepToPicture]);
   
+  // Popup keyboard shortcuts: Escape closes, left/right arrows move between works.
+  // The lightbox has its own while it is open.
+  useEffect(() => {
+    if (!showPopup || showLightbox) return;
+
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape') {
+        handleClosePopup();
+        return;
+      }
+      if (event.target.closest && event.target.closest('input, textarea, select')) return;
+      if (event.key === 'ArrowRight') {
+        handleNext();
+      } else if (event.key === 'ArrowLeft') {
+        handlePrevious();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [showPopup, showLightbox, handleClosePopup, handleNext, handlePrevious]);
+
+  const editedEntry = editing && editingId !== null ? imagesData.find(entry => entry.id === editingId) || null : null;
+
   // Keyboard navigation handler // Moved to SceneContent
   // useEffect(() => { ... });
 
@@ -786,18 +1646,147 @@ function Experience() {
   // useFrame(() => { ... });
 
   return (
-    <Canvas camera={{ fov: 75, position: [0, 0, 10] }}>
-      <SceneContent
-        showPopup={showPopup}
-        selectedImageIndex={selectedImageIndex}
-        imagesData={imagesData}
-        planePositions={planePositions}
-        handleImageClick={handleImageClick}
-        handleClosePopup={handleClosePopup}
-        handleNext={handleNext}
-        handlePrevious={handlePrevious}
-      />
-    </Canvas>
+    <>
+      <Canvas
+        camera={{ fov: 75, position: [0, 0, 10] }}
+        onPointerMissed={showInfoWindow ? handleCloseInfoWindow : undefined} // A click on the empty map closes the info card
+      >
+        <SceneContent
+          showPopup={showPopup}
+          showCanvasPopup={resolvedPopupStyle === 'canvas'}
+          showInfoWindow={showInfoWindow}
+          instanced={instanced}
+          selectedImageIndex={selectedImageIndex}
+          imagesData={imagesData}
+          planePositions={planePositions}
+          emotionRegions={emotionRegions}
+          matchingIds={matchingIds}
+          hideNonMatching={filter.hideOthers}
+          focusedIndex={focusedIndex}
+          particles={showParticles}
+          editing={editing}
+          editingId={editingId}
+          onMoveArtwork={handleMoveArtwork}
+          handleImageClick={handleImageClick}
+          handlePlaneSize={handlePlaneSize}
+          handleClosePopup={handleClosePopup}
+          handleCloseInfoWindow={handleCloseInfoWindow}
+          handleOpenLightbox={handleOpenLightbox}
+          handleNext={handleNext}
+          handlePrevious={handlePrevious}
+          planeSizes={planeSizes}
+          requestedView={requestedView}
+          onViewChange={handleViewChange}
+          cameraViewRef={cameraViewRef}
+          transitionOptions={transitionOptions}
+        />
+        {showStats && <Stats showPanel={1} className="frame-stats" />}
+      </Canvas>
+      {catalogState.status === 'ready' && (
+        <SearchPanel
+          entries={imagesData}
+          filter={filter}
+          onFilterChange={setFilter}
+          onSelect={handleSearchSelect}
+        />
+      )}
+      {catalogState.status === 'ready' && (
+        <AccessibleGallery
+          entries={imagesData}
+          openIndex={openIndex}
+          dialog={artworkDialog}
+          detailPanel={resolvedPopupStyle === 'html'}
+          onFocusArtwork={handleFocusArtwork}
+          onOpen={handleOpenArtwork}
+          onClose={handleClosePopup}
+          onNext={handleNext}
+          onPrevious={handlePrevious}
+        />
+      )}
+      {resolvedPopupStyle === 'html' && openIndex !== null && imagesData[openIndex] && (
+        <ArtworkDetailPanel
+          image={imagesData[openIndex]}
+          dialogProps={artworkDialog.dialogProps}
+          closeButtonRef={artworkDialog.closeButtonRef}
+          onClose={handleClosePopup}
+          onNext={handleNext}
+          onPrevious={handlePrevious}
+          onOpenLightbox={handleOpenLightbox}
+        />
+      )}
+      {/* The in-canvas popup has no form of its own, so reactions go beside it */}
+      {showPopup && resolvedPopupStyle === 'canvas' && selectedImageIndex !== null && (
+        <aside className="reaction-overlay">
+          <ReactionForm key={imagesData[selectedImageIndex].id} artworkId={imagesData[selectedImageIndex].id} />
+        </aside>
+      )}
+      {showLightbox && showPopup && selectedImageIndex !== null && isPicture(imagesData[selectedImageIndex]) && (
+        <Lightbox
+          image={imagesData[selectedImageIndex]}
+          onClose={handleCloseLightbox}
+          onNext={handleLightboxNext}
+          onPrevious={handleLightboxPrevious}
+        />
+      )}
+      {/* The popup holds the camera on its artwork, so the minimap makes way while it is open */}
+      {catalogState.status === 'ready' && !showPopup && (
+        <Minimap
+          entries={imagesData}
+          positions={planePositions}
+          sizes={planeSizes}
+          matchingIds={matchingIds}
+          hideNonMatching={filter.hideOthers}
+          selectedIndex={editing ? imagesData.findIndex(entry => entry.id === editingId) : focusedIndex}
+          viewRef={cameraViewRef}
+          onNavigate={handleMinimapNavigate}
+        />
+      )}
+      {catalogState.status === 'ready' && (
+        <AmbientAudio entries={imagesData} positions={planePositions} viewRef={cameraViewRef} />
+      )}
+      {!editing && !activeTour && catalogState.status === 'ready' && (
+        <InspectModeSwitch modes={INSPECT_MODES} mode={inspectMode} onChange={handleInspectModeChange} />
+      )}
+      {!editing && !activeTour && tours.length > 0 && (
+        <TourMenu tours={tours} onStart={handleStartTour} />
+      )}
+      {activeTour && (
+        <TourPlayer
+          tour={activeTour}
+          stopIndex={tourState.stop}
+          playing={tourState.playing}
+          onTogglePlay={handleToggleTour}
+          onNext={handleNext}
+          onPrevious={handlePrevious}
+          onExit={handleExitTour}
+        />
+      )}
+      {editing && catalogState.status === 'ready' && (
+        <CuratorPanel
+          entry={editedEntry}
+          position={editedEntry ? planePositions[imagesData.indexOf(editedEntry)] : null}
+          localImagePaths={localImagePaths}
+          storageFull={storageFull}
+          onChange={handleEditArtwork}
+          onDelete={handleDeleteArtwork}
+          onAddImages={handleAddImages}
+          onExport={handleExportCatalog}
+          onReset={handleResetDraft}
+        />
+      )}
+      {catalogState.status === 'loading' && (
+        <div className="catalog-status" role="status">{t('catalog.loading')}</div>
+      )}
+      {catalogState.status === 'error' && (
+        <div className="catalog-status catalog-status-error" role="alert">
+          <p>{t('catalog.error')}</p>
+          <p className="catalog-status-detail">{catalogState.error.message}</p>
+          <button className="nav-button" onClick={() => setCatalogAttempt(n => n + 1)}>
+            {t('catalog.retry')}
+          </button>
+        </div>
+      )}
+    </>
   );
 }
 
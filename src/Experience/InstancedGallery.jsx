@@ -0,0 +1,338 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import { Plane } from '@react-three/drei';
+import * as THREE from 'three';
+import { planeSizeForAspect, unmeasuredPlaneSize } from './layout';
+import { levelForDistance } from './useProgressiveTexture';
+import { stillImageUrl } from '../Service/catalog';
+
+// Rendering path for large catalogs. Every artwork is one instance of a single
+// InstancedMesh textured from a thumbnail atlas, so the whole map is one draw
+// call and one React element. Whenever the camera moves, instances outside the
+// view frustum are left out, and the few works close enough to need a sharper
+// image are also drawn as regular planes through `renderDetail(index)`. So are
+// works whose thumbnail failed, so they show the "image unavailable" card.
+
+const MAX_CELL_SIZE = 64; // Atlas cell in pixels; thumbnails are at most this big (scripts/make-image-variants.js)
+const MAX_ATLAS_SIZE = 4096;
+const DETAIL_LIMIT = 24; // Most works drawn as detailed planes at the same time
+const DETAIL_OFFSET = 0.005; // Instances sit just behind detailed planes, covering them until they load
+const ATLAS_UPLOAD_INTERVAL = 0.25; // Seconds between atlas uploads while thumbnails arrive
+const SIZE_FLUSH_INTERVAL = 0.5; // Seconds between batches of plane size reports
+const DIMMED_OPACITY = 0.15;
+const PLACEHOLDER_COLOR = "#e8dfe0";
+const ERROR_COLOR = "#ff6b9d";
+
+// Square canvas with one cell per artwork, filled with the placeholder colour
+function createAtlas(count, maxTextureSize) {
+  const limit = Math.min(MAX_ATLAS_SIZE, maxTextureSize);
+  const columns = Math.max(1, Math.ceil(Math.sqrt(count)));
+  const cellSize = Math.max(1, Math.min(MAX_CELL_SIZE, Math.floor(limit / columns)));
+  const size = Math.min(limit, THREE.MathUtils.ceilPowerOfTwo(columns * cellSize));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = size;
+  canvas.height = size;
+  const context = canvas.getContext('2d');
+  context.fillStyle = PLACEHOLDER_COLOR;
+  context.fillRect(0, 0, size, size);
+
+  const texture = new THREE.CanvasTexture(canvas);
+  texture.colorSpace = THREE.SRGBColorSpace;
+  texture.generateMipmaps = false; // Mipmaps would blend neighbouring cells together
+  texture.minFilter = THREE.LinearFilter;
+
+  return { context, texture, columns, cellSize, size };
+}
+
+const cellOrigin = (atlas, index) => [
+  (index % atlas.columns) * atlas.cellSize,
+  Math.floor(index / atlas.columns) * atlas.cellSize,
+];
+
+// Atlas cell of an artwork as (u, v, width, height), inset by half a texel so
+// linear filtering does not pick up the neighbours. The canvas is flipped on
+// upload, so v counts from the bottom.
+function cellRect(atlas, index) {
+  const [x, y] = cellOrigin(atlas, index);
+  const inner = (atlas.cellSize - 1) / atlas.size;
+  return [
+    (x + 0.5) / atlas.size,
+    1 - (y + atlas.cellSize - 0.5) / atlas.size,
+    inner,
+    inner,
+  ];
+}
+
+// The image is stretched over the whole cell; instance scales restore its aspect ratio
+function drawCell(atlas, index, source) {
+  const [x, y] = cellOrigin(atlas, index);
+  if (typeof source === 'string') {
+    atlas.context.fillStyle = source;
+    atlas.context.fillRect(x, y, atlas.cellSize, atlas.cellSize);
+  } else {
+    atlas.context.drawImage(source, x, y, atlas.cellSize, atlas.cellSize);
+  }
+}
+
+// Standard material whose map lookup and opacity come from per-instance attributes
+function createInstancedMaterial(map) {
+  const material = new THREE.MeshStandardMaterial({ map, side: THREE.DoubleSide, transparent: true });
+  material.onBeforeCompile = (shader) => {
+    shader.vertexShader = shader.vertexShader
+      .replace('#include <common>', [
+        '#include <common>',
+        'attribute vec4 atlasRect;',
+        'attribute float instanceOpacity;',
+        'varying float vInstanceOpacity;',
+      ].join('\n'))
+      .replace('#include <uv_vertex>', [
+        '#include <uv_vertex>',
+        'vMapUv = atlasRect.xy + uv * atlasRect.zw;',
+        'vInstanceOpacity = instanceOpacity;',
+      ].join('\n'));
+    shader.fragmentShader = shader.fragmentShader
+      .replace('#include <common>', '#include <common>\nvarying float vInstanceOpacity;')
+      .replace('#include <opaque_fragment>', 'diffuseColor.a *= vInstanceOpacity;\n#include <opaque_fragment>');
+  };
+  return material;
+}
+
+function InstancedGallery({
+  entries,
+  positions,
+  sizes,
+  matchingIds,
+  hideNonMatching,
+  focusedIndex,
+  onClick,
+  onSizeChange,
+  renderDetail
+}) {
+  const { gl } = useThree();
+  const meshRef = useRef();
+  const count = entries.length;
+
+  const atlas = useMemo(() => createAtlas(count, gl.capabilities.maxTextureSize), [count, gl]);
+  const material = useMemo(() => createInstancedMaterial(atlas.texture), [atlas]);
+  const geometry = useMemo(() => {
+    const plane = new THREE.PlaneGeometry(1, 1);
+    plane.setAttribute('atlasRect', new THREE.InstancedBufferAttribute(new Float32Array(count * 4), 4));
+    plane.setAttribute('instanceOpacity', new THREE.InstancedBufferAttribute(new Float32Array(count), 1));
+    return plane;
+  }, [count]);
+
+  useEffect(() => () => atlas.texture.dispose(), [atlas]);
+  useEffect(() => () => material.dispose(), [material]);
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  const atlasDirtyRef = useRef(false);
+  const lastAtlasUploadRef = useRef(0);
+  const pendingSizesRef = useRef([]);
+  const lastSizeFlushRef = useRef(0);
+  const failedRef = useRef(new Set()); // Catalog indices whose image could not be loaded
+
+  // The visible set only needs recomputing when the camera or the inputs change
+  const layoutDirtyRef = useRef(true);
+
+  // Load every thumbnail into its atlas cell, falling back to the original
+  // image when there is no thumbnail or it fails to load. Video and sound
+  // works use their cover; without one their cell keeps the placeholder.
+  useEffect(() => {
+    let cancelled = false;
+    failedRef.current = new Set();
+
+    const images = entries.map((entry, index) => {
+      const sources = [entry.variants && entry.variants.thumb, stillImageUrl(entry)].filter(Boolean);
+      if (sources.length === 0) return null;
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.decoding = 'async';
+      image.onload = () => {
+        if (cancelled) return;
+        drawCell(atlas, index, image);
+        atlasDirtyRef.current = true;
+        pendingSizesRef.current.push([entry.id, planeSizeForAspect(image.naturalWidth / image.naturalHeight, entry.scale)]);
+      };
+      image.onerror = () => {
+        if (cancelled) return;
+        sources.shift();
+        if (sources.length > 0) {
+          image.src = sources[0];
+          return;
+        }
+        console.error(`Error loading texture: ${stillImageUrl(entry)}`);
+        drawCell(atlas, index, ERROR_COLOR);
+        atlasDirtyRef.current = true;
+        failedRef.current.add(index);
+        layoutDirtyRef.current = true;
+      };
+      image.src = sources[0];
+      return image;
+    });
+
+    return () => {
+      cancelled = true;
+      images.filter(Boolean).forEach(image => {
+        image.onload = null;
+        image.onerror = null;
+      });
+    };
+  }, [entries, atlas]);
+
+  // Works currently drawn as detailed planes, nearest first
+  const [detailIndices, setDetailIndices] = useState([]);
+  const detailSetRef = useRef(new Set());
+
+  // Instance slot -> catalog index, for picking
+  const slotIndexRef = useRef([]);
+
+  useEffect(() => {
+    layoutDirtyRef.current = true;
+  }, [entries, positions, sizes, matchingIds, hideNonMatching, geometry]);
+
+  const scratch = useMemo(() => ({
+    frustum: new THREE.Frustum(),
+    viewProjection: new THREE.Matrix4(),
+    lastCameraMatrix: new THREE.Matrix4(),
+    lastProjection: new THREE.Matrix4(),
+    box: new THREE.Box3(),
+    center: new THREE.Vector3(),
+    extent: new THREE.Vector3(),
+    matrix: new THREE.Matrix4(),
+    quaternion: new THREE.Quaternion(),
+    scale: new THREE.Vector3(),
+  }), []);
+
+  useFrame(({ camera, clock }) => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+
+    if (atlasDirtyRef.current && clock.elapsedTime - lastAtlasUploadRef.current > ATLAS_UPLOAD_INTERVAL) {
+      atlasDirtyRef.current = false;
+      lastAtlasUploadRef.current = clock.elapsedTime;
+      atlas.texture.needsUpdate = true;
+    }
+
+    // Report the sizes of newly loaded thumbnails in one batch, so the layout is recomputed once
+    if (pendingSizesRef.current.length > 0 && clock.elapsedTime - lastSizeFlushRef.current > SIZE_FLUSH_INTERVAL) {
+      lastSizeFlushRef.current = clock.elapsedTime;
+      const batch = pendingSizesRef.current;
+      pendingSizesRef.current = [];
+      if (onSizeChange) batch.forEach(([id, size]) => onSizeChange(id, size));
+    }
+
+    if (!layoutDirtyRef.current &&
+        camera.matrixWorld.equals(scratch.lastCameraMatrix) &&
+        camera.projectionMatrix.equals(scratch.lastProjection)) {
+      return;
+    }
+    layoutDirtyRef.current = false;
+    scratch.lastCameraMatrix.copy(camera.matrixWorld);
+    scratch.lastProjection.copy(camera.projectionMatrix);
+
+    scratch.viewProjection.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    scratch.frustum.setFromProjectionMatrix(scratch.viewProjection);
+
+    // Frustum culling, and the works near enough to deserve a detailed plane
+    const visible = [];
+    const near = [];
+    const failed = [];
+    entries.forEach((entry, index) => {
+      const position = positions[index];
+      if (!position) return;
+      if (hideNonMatching && matchingIds !== null && !matchingIds.has(entry.id)) return;
+
+      const size = sizes[entry.id] || unmeasuredPlaneSize(entry.scale);
+      scratch.center.set(position[0], position[1], position[2]);
+      scratch.box.setFromCenterAndSize(scratch.center, scratch.extent.set(size.width, size.height, 0.01));
+      if (!scratch.frustum.intersectsBox(scratch.box)) return;
+
+      visible.push(index);
+      if (failedRef.current.has(index)) {
+        failed.push(index);
+        return;
+      }
+      const distance = camera.position.distanceTo(scratch.center);
+      const currentLevel = detailSetRef.current.has(index) ? 'mid' : 'thumb';
+      if (levelForDistance(distance, currentLevel) !== 'thumb') near.push({ index, distance });
+    });
+
+    const detail = near
+      .sort((a, b) => a.distance - b.distance)
+      .slice(0, DETAIL_LIMIT)
+      .map(item => item.index)
+      .concat(failed);
+    const detailSet = new Set(detail);
+
+    const atlasRect = geometry.getAttribute('atlasRect');
+    const opacity = geometry.getAttribute('instanceOpacity');
+    const slotIndex = [];
+
+    visible.forEach(index => {
+      const entry = entries[index];
+      const dimmed = matchingIds !== null && !matchingIds.has(entry.id);
+      // A faint instance behind a faint detailed plane would double its opacity
+      if (dimmed && detailSet.has(index)) return;
+
+      const slot = slotIndex.length;
+      const position = positions[index];
+      const size = sizes[entry.id] || unmeasuredPlaneSize(entry.scale);
+      scratch.center.set(position[0], position[1], position[2] - DETAIL_OFFSET);
+      scratch.scale.set(size.width, size.height, 1);
+      scratch.matrix.compose(scratch.center, scratch.quaternion, scratch.scale);
+      mesh.setMatrixAt(slot, scratch.matrix);
+      atlasRect.setXYZW(slot, ...cellRect(atlas, index));
+      opacity.setX(slot, dimmed ? DIMMED_OPACITY : 1);
+      slotIndex.push(index);
+    });
+
+    mesh.count = slotIndex.length;
+    mesh.instanceMatrix.needsUpdate = true;
+    atlasRect.needsUpdate = true;
+    opacity.needsUpdate = true;
+    mesh.computeBoundingSphere(); // Used by raycasting, which only looks at the first `count` instances
+    slotIndexRef.current = slotIndex;
+
+    const previous = detailSetRef.current;
+    if (detail.length !== previous.size || detail.some(index => !previous.has(index))) {
+      detailSetRef.current = detailSet;
+      setDetailIndices(detail);
+    }
+  });
+
+  const handleClick = (e) => {
+    const index = slotIndexRef.current[e.instanceId];
+    if (index === undefined) return;
+    e.stopPropagation();
+    onClick(entries[index].id);
+  };
+
+  const focusedEntry = focusedIndex !== null ? entries[focusedIndex] : null;
+  const focusedHidden = focusedEntry && hideNonMatching && matchingIds !== null && !matchingIds.has(focusedEntry.id);
+  const focusedSize = focusedEntry && (sizes[focusedEntry.id] || unmeasuredPlaneSize(focusedEntry.scale));
+  const focusedPosition = focusedEntry && positions[focusedIndex];
+
+  return (
+    <>
+      <instancedMesh
+        ref={meshRef}
+        args={[geometry, material, Math.max(1, count)]}
+        frustumCulled={false} // Culled per instance above
+        onClick={handleClick}
+      />
+      {/* Keyboard focus ring, drawn just behind the plane */}
+      {focusedPosition && !focusedHidden && (
+        <Plane
+          args={[focusedSize.width + 0.12, focusedSize.height + 0.12]}
+          position={[focusedPosition[0], focusedPosition[1], focusedPosition[2] - 0.01]}
+        >
+          <meshBasicMaterial color="#ff6b9d" />
+        </Plane>
+      )}
+      {detailIndices.filter(index => entries[index]).map(index => renderDetail(index))}
+    </>
+  );
+}
+
+export default InstancedGallery;
@@ -0,0 +1,198 @@
+import { useFrame, useThree } from "@react-three/fiber";
+import * as THREE from 'three';
+import { useEffect, useMemo, useState } from 'react';
+import { emotionCoordinates, emotionRegionOf, REGION_COLORS } from '../Service/emotions';
+import { stillImageUrl } from '../Service/catalog';
+import { useResilientTexture } from './useResilientTexture';
+
+// Ambient field of soft particles floating behind the map. All the motion is
+// worked out on the GPU: every particle keeps a fixed home in a box around the
+// camera, drifts around it in the vertex shader, and wraps to the other side
+// of the box when the camera pans away, so the field never runs out. Being
+// further away than the artworks, it slides by more slowly while panning.
+//
+// The artwork open in the popup tints the field: the colour of its emotion
+// region, or the dominant colour of the image for works without emotional
+// data. Its arousal sets how lively the particles are.
+
+const PARTICLE_COUNT = 10000;
+const PARTICLE_TEXTURE = './assets/textures/circle_05.png';
+const FIELD_SIZE = 80; // Width and height of the box, in world units
+const FIELD_DEPTH = [-9, -1.5]; // Nearest and farthest z, always behind the planes
+const PARTICLE_SIZE = 55;
+const IDLE_COLOR = "#ffffff";
+const IDLE_ENERGY = 0.3;
+const EASING = 1.5; // How quickly colour and energy follow the open artwork, per second
+
+const vertexShader = `
+  uniform float uPhase;
+  uniform float uEnergy;
+  uniform float uSize;
+  uniform float uPixelRatio;
+  uniform vec2 uCenter;
+  uniform float uFieldSize;
+  attribute float aSeed;
+  varying float vAlpha;
+
+  void main() {
+    vec3 p = position;
+
+    // Wander around the home position, each particle on its own cycle
+    float amplitude = 0.15 + uEnergy * 0.6;
+    p.x += sin(uPhase * (0.6 + aSeed) + aSeed * 40.0) * amplitude;
+    p.y += cos(uPhase * (0.5 + aSeed * 0.8) + aSeed * 25.0) * amplitude + uPhase * (0.05 + aSeed * 0.1);
+
+    // Wrap into the box centred on the camera
+    float halfSize = uFieldSize * 0.5;
+    p.xy = uCenter + mod(p.xy - uCenter + halfSize, uFieldSize) - halfSize;
+
+    vec4 mvPosition = modelViewMatrix * vec4(p, 1.0);
+    gl_Position = projectionMatrix * mvPosition;
+    gl_PointSize = uSize * (0.4 + aSeed) * uPixelRatio / -mvPosition.z;
+
+    // Twinkle, faster when the field is lively
+    vAlpha = 0.35 + 0.35 * sin(uPhase * (1.0 + aSeed * 2.0) + aSeed * 60.0);
+  }
+`;
+
+const fragmentShader = `
+  uniform sampler2D uTexture;
+  uniform vec3 uColor;
+  varying float vAlpha;
+
+  void main() {
+    // The sprite is white on black: its brightness is the particle's opacity
+    float alpha = texture2D(uTexture, gl_PointCoord).r * vAlpha;
+    if (alpha < 0.01) discard;
+    gl_FragColor = vec4(uColor, alpha);
+  }
+`;
+
+// Average colour of an image, leaning towards its saturated pixels so that a
+// pale background does not wash out the subject. Cached per URL.
+const dominantColors = new Map();
+
+function dominantColor(url) {
+  if (!dominantColors.has(url)) {
+    dominantColors.set(url, new Promise(resolve => {
+      const image = new Image();
+      image.crossOrigin = 'anonymous';
+      image.onload = () => {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = 16;
+        const context = canvas.getContext('2d');
+        try {
+          context.drawImage(image, 0, 0, 16, 16);
+          const { data } = context.getImageData(0, 0, 16, 16);
+          const sum = [0, 0, 0];
+          let weights = 0;
+          for (let i = 0; i < data.length; i += 4) {
+            const weight = 0.1 + Math.max(data[i], data[i + 1], data[i + 2]) - Math.min(data[i], data[i + 1], data[i + 2]);
+            sum[0] += data[i] * weight;
+            sum[1] += data[i + 1] * weight;
+            sum[2] += data[i + 2] * weight;
+            weights += weight;
+          }
+          resolve(new THREE.Color(sum[0] / weights / 255, sum[1] / weights / 255, sum[2] / weights / 255));
+        } catch {
+          resolve(null); // Cross-origin image without CORS headers
+        }
+      };
+      image.onerror = () => resolve(null);
+      image.src = url;
+    }));
+  }
+  return dominantColors.get(url);
+}
+
+// Colour and energy (0 to 1) the field moves towards for the open `entry`
+function useMood(entry) {
+  const [imageColor, setImageColor] = useState(null);
+  const region = entry ? emotionRegionOf(entry) : null;
+  const imageUrl = entry && !region ? (entry.variants && entry.variants.thumb) || stillImageUrl(entry) : null;
+
+  useEffect(() => {
+    setImageColor(null);
+    if (!imageUrl) return undefined;
+    let cancelled = false;
+    dominantColor(imageUrl).then(color => {
+      if (!cancelled) setImageColor(color);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [imageUrl]);
+
+  return useMemo(() => {
+    if (!entry) return { color: new THREE.Color(IDLE_COLOR), energy: IDLE_ENERGY };
+    const coordinates = emotionCoordinates(entry);
+    const energy = coordinates ? (coordinates.arousal + 1) / 2 : IDLE_ENERGY;
+    const color = region ? REGION_COLORS[region.id] : imageColor || IDLE_COLOR;
+    return { color: new THREE.Color(color), energy };
+  }, [entry, region, imageColor]);
+}
+
+// `entry` is the artwork open in the popup, or null
+function ParticleField({ entry }) {
+  const { camera, gl } = useThree();
+  const { texture } = useResilientTexture(PARTICLE_TEXTURE);
+  const mood = useMood(entry);
+
+  const geometry = useMemo(() => {
+    const positions = new Float32Array(PARTICLE_COUNT * 3);
+    const seeds = new Float32Array(PARTICLE_COUNT);
+    for (let i = 0; i < PARTICLE_COUNT; i++) {
+      positions[i * 3] = (Math.random() - 0.5) * FIELD_SIZE;
+      positions[i * 3 + 1] = (Math.random() - 0.5) * FIELD_SIZE;
+      positions[i * 3 + 2] = FIELD_DEPTH[0] + Math.random() * (FIELD_DEPTH[1] - FIELD_DEPTH[0]);
+      seeds[i] = Math.random();
+    }
+    const result = new THREE.BufferGeometry();
+    result.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    result.setAttribute('aSeed', new THREE.BufferAttribute(seeds, 1));
+    return result;
+  }, []);
+
+  const material = useMemo(() => new THREE.ShaderMaterial({
+    vertexShader,
+    fragmentShader,
+    transparent: true,
+    depthWrite: false,
+    uniforms: {
+      uPhase: { value: 0 },
+      uEnergy: { value: IDLE_ENERGY },
+      uSize: { value: PARTICLE_SIZE },
+      uPixelRatio: { value: 1 },
+      uCenter: { value: new THREE.Vector2() },
+      uFieldSize: { value: FIELD_SIZE },
+      uTexture: { value: null },
+      uColor: { value: new THREE.Color(IDLE_COLOR) },
+    },
+  }), []);
+
+  useEffect(() => () => {
+    geometry.dispose();
+    material.dispose();
+  }, [geometry, material]);
+
+  useEffect(() => {
+    material.uniforms.uTexture.value = texture;
+  }, [material, texture]);
+
+  useFrame((state, delta) => {
+    const { uniforms } = material;
+    const step = Math.min(1, delta * EASING);
+    uniforms.uColor.value.lerp(mood.color, step);
+    uniforms.uEnergy.value += (mood.energy - uniforms.uEnergy.value) * step;
+    // Advancing the phase, rather than scaling time, keeps the motion smooth when the energy changes
+    uniforms.uPhase.value += delta * (0.2 + uniforms.uEnergy.value * 1.2);
+    uniforms.uCenter.value.set(camera.position.x, camera.position.y);
+    uniforms.uPixelRatio.value = gl.getPixelRatio();
+  });
+
+  if (!texture) return null;
+  // The shader moves particles around the camera, so they must never be culled
+  return <points geometry={geometry} material={material} frustumCulled={false} renderOrder={-1} />;
+}
+
+export default ParticleField;
@@ -0,0 +1,50 @@
+import { emotionRegionOf, REGION_COLORS } from '../Service/emotions';
+import { reactionFor, useReactions } from '../Service/reactions';
+import { unmeasuredPlaneSize } from './layout';
+
+// Dot on the corner of every artwork the visitor has reacted to, coloured by
+// the region of the emotion they picked (pink for a note without one).
+
+const NOTE_COLOR = "#ff6b9d";
+const MARKER_RADIUS = 0.12;
+
+const markerColor = (reaction) => {
+  if (!reaction.emotion) return NOTE_COLOR;
+  const region = emotionRegionOf({ emotions: [reaction.emotion] });
+  return region ? REGION_COLORS[region.id] : NOTE_COLOR;
+};
+
+// Works hidden by the search filter lose their marker too
+function ReactionMarkers({ entries, positions, sizes, matchingIds, hideNonMatching }) {
+  const reactions = useReactions();
+
+  return (
+    <group>
+      {entries.map((entry, index) => {
+        const reaction = reactionFor(reactions, entry.id);
+        const position = positions[index];
+        const hidden = hideNonMatching && matchingIds !== null && !matchingIds.has(entry.id);
+        if (!reaction || !position || hidden) return null;
+
+        // Top-right corner of the plane, just in front of it
+        const size = sizes[entry.id] || unmeasuredPlaneSize(entry.scale);
+        const x = position[0] + size.width / 2 - MARKER_RADIUS * 0.5;
+        const y = position[1] + size.height / 2 - MARKER_RADIUS * 0.5;
+        return (
+          <group key={entry.id} position={[x, y, position[2] + 0.03]}>
+            <mesh>
+              <circleGeometry args={[MARKER_RADIUS * 1.3, 24]} />
+              <meshBasicMaterial color="#ffffff" />
+            </mesh>
+            <mesh position={[0, 0, 0.001]}>
+              <circleGeometry args={[MARKER_RADIUS, 24]} />
+              <meshBasicMaterial color={markerColor(reaction)} />
+            </mesh>
+          </group>
+        );
+      })}
+    </group>
+  );
+}
+
+export default ReactionMarkers;
@@ -0,0 +1,264 @@
+import { useThree } from "@react-three/fiber";
+import { Plane } from "@react-three/drei";
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { LoadingPlane, UnavailableCard } from './ArtworkStatus';
+import { useResilientTexture } from './useResilientTexture';
+
+// Full-size view of one artwork for the lightbox (see components/Lightbox.jsx),
+// which gives it a canvas of its own. The image can be studied up close: the
+// wheel, a pinch or the +/- keys zoom in around the pointer, dragging pans,
+// a double click toggles between the whole image and a close-up, and 0 resets.
+
+const PLACEHOLDER_COLOR = "#e8dfe0";
+const MAX_ZOOM = 8;
+const DOUBLE_CLICK_ZOOM = 3;
+const KEY_ZOOM_STEP = 1.25;
+const WHEEL_ZOOM_SPEED = 0.002;
+const CONTROLS_MARGIN = 0.6; // Space kept under the image for the navigation icons
+const UNZOOMED = { zoom: 1, x: 0, y: 0 };
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Enhanced zoomed image view with error handling. `onZoomChange(zoomed)` tells
+// the lightbox when the visitor zooms in, so it can hold the slideshow.
+function ZoomedImageView({ imagePath, title, onClose, onNext, onPrevious, onZoomChange }) {
+  const { texture, status, retry } = useResilientTexture(imagePath);
+  const { size, camera, gl } = useThree();
+
+  // Load navigation icons; buttons without their icon keep a plain coloured square
+  const { texture: prevIcon } = useResilientTexture('/assets/icons/left-arrow.png');
+  const { texture: nextIcon } = useResilientTexture('/assets/icons/right-arrow.png');
+  const { texture: closeIcon } = useResilientTexture('/assets/icons/close.png');
+
+  // Fit the image in the visible area, above the navigation icons
+  const visibleHeight = 2 * camera.position.z * Math.tan((camera.fov * Math.PI) / 360);
+  const visibleWidth = visibleHeight * (size.width / size.height);
+  const imageAspect = texture && texture.image ? texture.image.width / texture.image.height : 1;
+  const maxWidth = visibleWidth * 0.92;
+  const maxHeight = visibleHeight * 0.92 - CONTROLS_MARGIN * 2;
+
+  let width, height;
+  if (imageAspect > maxWidth / maxHeight) {
+    width = maxWidth;
+    height = width / imageAspect;
+  } else {
+    height = maxHeight;
+    width = height * imageAspect;
+  }
+
+  // Zoom factor and pan offset of the image, in world units
+  const [view, setView] = useState(UNZOOMED);
+  const boundsRef = useRef(null);
+  boundsRef.current = { width, height, visibleWidth, visibleHeight };
+
+  // Keep the zoomed image covering the view, and centred along any side that fits
+  const constrain = useCallback(({ zoom, x, y }) => {
+    const bounds = boundsRef.current;
+    const limitX = Math.max(0, (bounds.width * zoom - bounds.visibleWidth) / 2);
+    const limitY = Math.max(0, (bounds.height * zoom - bounds.visibleHeight) / 2);
+    return { zoom, x: clamp(x, -limitX, limitX), y: clamp(y, -limitY, limitY) };
+  }, []);
+
+  // Zoom by `factor` keeping the world point (px, py) under the pointer in place
+  const zoomAt = useCallback((px, py, factor) => {
+    setView(prev => {
+      const zoom = clamp(prev.zoom * factor, 1, MAX_ZOOM);
+      const ratio = zoom / prev.zoom;
+      return constrain({ zoom, x: px - (px - prev.x) * ratio, y: py - (py - prev.y) * ratio });
+    });
+  }, [constrain]);
+
+  const zoomed = view.zoom > 1;
+  useEffect(() => {
+    if (onZoomChange) onZoomChange(zoomed);
+  }, [zoomed, onZoomChange]);
+
+  // Wheel, pinch and drag on the canvas itself, so that gestures starting
+  // anywhere on the screen work and the browser does not zoom the page
+  useEffect(() => {
+    const element = gl.domElement;
+    const pointers = new Map();
+
+    const toWorld = (clientX, clientY) => {
+      const rect = element.getBoundingClientRect();
+      const unitsPerPixel = boundsRef.current.visibleHeight / rect.height;
+      return [
+        (clientX - rect.left - rect.width / 2) * unitsPerPixel,
+        -(clientY - rect.top - rect.height / 2) * unitsPerPixel,
+      ];
+    };
+    const pinchOf = () => {
+      const [a, b] = [...pointers.values()];
+      return {
+        distance: Math.hypot(a.x - b.x, a.y - b.y),
+        center: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+      };
+    };
+
+    const handleWheel = (event) => {
+      event.preventDefault();
+      zoomAt(...toWorld(event.clientX, event.clientY), Math.exp(-event.deltaY * WHEEL_ZOOM_SPEED));
+    };
+    const handlePointerDown = (event) => {
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+      element.setPointerCapture(event.pointerId);
+    };
+    const handlePointerMove = (event) => {
+      if (!pointers.has(event.pointerId)) return;
+      const before = pointers.size === 2 ? pinchOf() : null;
+      const previous = pointers.get(event.pointerId);
+      pointers.set(event.pointerId, { x: event.clientX, y: event.clientY });
+
+      if (before) {
+        // Two fingers: zoom around their midpoint and pan along with it
+        const after = pinchOf();
+        const [fromX, fromY] = toWorld(before.center.x, before.center.y);
+        const [toX, toY] = toWorld(after.center.x, after.center.y);
+        zoomAt(toX, toY, after.distance / before.distance);
+        setView(prev => constrain({ ...prev, x: prev.x + toX - fromX, y: prev.y + toY - fromY }));
+      } else if (pointers.size === 1) {
+        const [fromX, fromY] = toWorld(previous.x, previous.y);
+        const [toX, toY] = toWorld(event.clientX, event.clientY);
+        setView(prev => constrain({ ...prev, x: prev.x + toX - fromX, y: prev.y + toY - fromY }));
+      }
+    };
+    const handlePointerUp = (event) => {
+      pointers.delete(event.pointerId);
+    };
+    const handleDoubleClick = (event) => {
+      const [px, py] = toWorld(event.clientX, event.clientY);
+      setView(prev => (prev.zoom > 1
+        ? UNZOOMED
+        : constrain({ zoom: DOUBLE_CLICK_ZOOM, x: px - px * DOUBLE_CLICK_ZOOM, y: py - py * DOUBLE_CLICK_ZOOM })));
+    };
+
+    element.addEventListener('wheel', handleWheel, { passive: false });
+    element.addEventListener('pointerdown', handlePointerDown);
+    element.addEventListener('pointermove', handlePointerMove);
+    element.addEventListener('pointerup', handlePointerUp);
+    element.addEventListener('pointercancel', handlePointerUp);
+    element.addEventListener('dblclick', handleDoubleClick);
+    return () => {
+      element.removeEventListener('wheel', handleWheel);
+      element.removeEventListener('pointerdown', handlePointerDown);
+      element.removeEventListener('pointermove', handlePointerMove);
+      element.removeEventListener('pointerup', handlePointerUp);
+      element.removeEventListener('pointercancel', handlePointerUp);
+      element.removeEventListener('dblclick', handleDoubleClick);
+    };
+  }, [gl, zoomAt, constrain]);
+
+  // Keyboard zoom, around the middle of the screen
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key === '+' || event.key === '=') {
+        zoomAt(0, 0, KEY_ZOOM_STEP);
+      } else if (event.key === '-') {
+        zoomAt(0, 0, 1 / KEY_ZOOM_STEP);
+      } else if (event.key === '0') {
+        setView(UNZOOMED);
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [zoomAt]);
+
+  return (
+    <group>
+      {/* Semi-transparent background; a click on it closes the view, the end of a drag does not */}
+      <Plane
+        args={[visibleWidth * 1.1, visibleHeight * 1.1]}
+        position={[0, 0, -0.1]}
+        onClick={(e) => {
+          if (e.delta > 2) return;
+          onClose();
+        }}
+      >
+        <meshBasicMaterial color="#000000" transparent opacity={0.85} />
+      </Plane>
+
+      {/* Image with frame, zoomed and panned as a whole */}
+      <group
+        position={[view.x, view.y + CONTROLS_MARGIN / 2, 0]}
+        scale={[view.zoom, view.zoom, 1]}
+        onClick={(e) => e.stopPropagation()}
+      >
+        {/* Frame */}
+        <Plane
+          args={[width + 0.1, height + 0.1]}
+          position={[0, 0, -0.01]}
+        >
+          <meshBasicMaterial color="#ffffff" />
+        </Plane>
+
+        {/* Image */}
+        {status === 'error' ? (
+          <UnavailableCard width={width} height={height} title={title} onRetry={retry} />
+        ) : (
+          <Plane args={[width, height]} position={[0, 0, 0]}>
+            <meshBasicMaterial
+              map={texture}
+              color={texture ? "#ffffff" : PLACEHOLDER_COLOR}
+              transparent
+            />
+          </Plane>
+        )}
+        {status === 'loading' && <LoadingPlane position={[0, 0, 0.01]} size={Math.min(width, height)} />}
+      </group>
+
+      {/* Navigation controls with icons, fixed to the bottom of the screen above the zoomed image */}
+      <group position={[0, -visibleHeight / 2 + CONTROLS_MARGIN, 0.5]}>
+        {/* Previous button */}
+        <Plane
+          args={[0.6, 0.6]}
+          position={[-2, 0, 0]}
+          onClick={(e) => {
+            e.stopPropagation();
+            onPrevious();
+          }}
+        >
+          <meshBasicMaterial
+            map={prevIcon}
+            color="#ff6b9d"
+            transparent
+          />
+        </Plane>
+
+        {/* Next button */}
+        <Plane
+          args={[0.6, 0.6]}
+          position={[2, 0, 0]}
+          onClick={(e) => {
+            e.stopPropagation();
+            onNext();
+          }}
+        >
+          <meshBasicMaterial
+            map={nextIcon}
+            color="#ff6b9d"
+            transparent
+          />
+        </Plane>
+
+        {/* Close button */}
+        <Plane
+          args={[0.6, 0.6]}
+          position={[0, 0, 0]}
+          onClick={(e) => {
+            e.stopPropagation();
+            onClose();
+          }}
+        >
+          <meshBasicMaterial
+            map={closeIcon}
+            color="#ffffff"
+            transparent
+          />
+        </Plane>
+      </group>
+    </group>
+  );
+}
+
+export default ZoomedImageView;
@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+
+// Timed camera transitions for MapControls: camera position and controls
+// target move together from where they are to a destination, following an
+// easing curve over a fixed duration.
+
+export const EASINGS = {
+  linear: (t) => t,
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+};
+
+export const DEFAULT_TRANSITION = { duration: 1.2, easing: 'easeInOutCubic' };
+
+export function createTransition(controls, toTarget, toPosition, { duration, easing } = DEFAULT_TRANSITION) {
+  return {
+    fromTarget: controls.target.clone(),
+    fromPosition: controls.object.position.clone(),
+    toTarget: toTarget.clone(),
+    toPosition: toPosition.clone(),
+    duration: Math.max(duration, 0.001),
+    ease: EASINGS[easing] || EASINGS[DEFAULT_TRANSITION.easing],
+    elapsed: 0,
+  };
+}
+
+// Transition that keeps the current viewing direction and moves the target to
+// (x, y). Without a distance the current zoom is kept.
+export function createFlight(controls, x, y, distance, options) {
+  const offset = controls.object.position.clone().sub(controls.target);
+  const flightDistance = distance ?? offset.length();
+  const toTarget = new THREE.Vector3(x, y, controls.target.z);
+  const toPosition = toTarget.clone().addScaledVector(offset.normalize(), flightDistance);
+  return createTransition(controls, toTarget, toPosition, options);
+}
+
+// Advance a transition by `delta` seconds. Returns true once it has finished.
+export function stepTransition(transition, controls, delta) {
+  transition.elapsed = Math.min(transition.elapsed + delta, transition.duration);
+  const t = transition.ease(transition.elapsed / transition.duration);
+
+  controls.object.position.lerpVectors(transition.fromPosition, transition.toPosition, t);
+  controls.target.lerpVectors(transition.fromTarget, transition.toTarget, t);
+  controls.update();
+
+  return transition.elapsed >= transition.duration;
+}
+
+// Camera distance at which a width x height plane fills the view, with some margin
+export function fitDistance(camera, width, height, margin = 1.3) {
+  const halfFov = THREE.MathUtils.degToRad(camera.fov) / 2;
+  const distanceForHeight = (height / 2) / Math.tan(halfFov);
+  const distanceForWidth = (width / 2) / (Math.tan(halfFov) * camera.aspect);
+  return Math.max(distanceForHeight, distanceForWidth) * margin;
+}
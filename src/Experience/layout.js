@@ -0,0 +1,302 @@
+import { EMOTION_REGIONS, emotionCoordinates, emotionRegionOf } from '../Service/emotions';
+
+// Spatial layout engine for the artwork planes.
+//
+// Every mode returns one [x, y, z] position per catalog entry, in catalog
+// order. Plane sizes come from the loaded textures (see planeSizeForAspect);
+// entries whose texture has not loaded yet are treated as a square of the
+// maximum plane size, and the layout is recomputed once real sizes arrive.
+
+export const LAYOUT_MODES = ['catalog', 'grid', 'spiral', 'force', 'tags', 'emotion'];
+export const DEFAULT_LAYOUT_MODE = 'catalog';
+
+// Half-size of the emotion plane in world units: valence and arousal of ±1 map to ±EMOTION_MAP_RADIUS
+export const EMOTION_MAP_RADIUS = 5;
+
+const MAX_PLANE_DIMENSION = 1.5;
+const GAP = 0.4; // Minimum empty space between two planes
+const CLUSTER_GAP = 1.5; // Extra space between tag clusters
+const UNTAGGED = 'untagged';
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+const CELL_KEY_STRIDE = 1 << 20; // Grid cells get numeric keys; layouts stay far within a million cells a side
+
+// Size of a plane in world units, keeping the image aspect ratio and fitting
+// the longest side within MAX_PLANE_DIMENSION, times the artwork's `scale`
+export function planeSizeForAspect(aspectRatio, scale = 1) {
+  let width, height;
+  if (aspectRatio > 1) {
+    // Landscape image
+    width = Math.min(MAX_PLANE_DIMENSION, aspectRatio);
+    height = width / aspectRatio;
+  } else {
+    // Portrait image
+    height = Math.min(MAX_PLANE_DIMENSION, 1 / aspectRatio);
+    width = height * aspectRatio;
+  }
+  return { width: width * scale, height: height * scale };
+}
+
+// Size assumed for a plane whose image has not been measured (or failed to
+// load): a square of the maximum plane size
+export function unmeasuredPlaneSize(scale = 1) {
+  return { width: MAX_PLANE_DIMENSION * scale, height: MAX_PLANE_DIMENSION * scale };
+}
+
+// Pick the layout mode: a `?layout=` URL parameter wins over the mode passed
+// in by the app. Unknown modes fall back to the catalog positions.
+export function resolveLayoutMode(preferredMode) {
+  const mode = new URLSearchParams(window.location.search).get('layout') || preferredMode || DEFAULT_LAYOUT_MODE;
+  if (!LAYOUT_MODES.includes(mode)) {
+    console.warn(`Unknown layout mode "${mode}", expected one of ${LAYOUT_MODES.join(', ')}`);
+    return DEFAULT_LAYOUT_MODE;
+  }
+  return mode;
+}
+
+const sizeOf = (entry, sizes) => sizes[entry.id] || unmeasuredPlaneSize(entry.scale);
+
+const overlaps = (a, b) =>
+  Math.abs(a.x - b.x) < (a.width + b.width) / 2 + GAP &&
+  Math.abs(a.y - b.y) < (a.height + b.height) / 2 + GAP;
+
+const largestSize = (entries, sizes) => entries.reduce((largest, entry) => {
+  const size = sizeOf(entry, sizes);
+  return {
+    width: Math.max(largest.width, size.width),
+    height: Math.max(largest.height, size.height),
+  };
+}, { width: 0, height: 0 });
+
+function gridLayout(entries, sizes) {
+  const { width, height } = largestSize(entries, sizes);
+  const cellWidth = width + GAP;
+  const cellHeight = height + GAP;
+  const columns = Math.ceil(Math.sqrt(entries.length));
+  const rows = Math.ceil(entries.length / columns);
+
+  return entries.map((entry, index) => {
+    const column = index % columns;
+    const row = Math.floor(index / columns);
+    return [
+      (column - (columns - 1) / 2) * cellWidth,
+      ((rows - 1) / 2 - row) * cellHeight,
+      0,
+    ];
+  });
+}
+
+// Sunflower (Vogel) spiral: evenly spread points growing out from the centre
+const spiralPoint = (index, spacing) => {
+  const radius = spacing * Math.sqrt(index);
+  const angle = index * GOLDEN_ANGLE;
+  return [radius * Math.cos(angle), radius * Math.sin(angle), 0];
+};
+
+function spiralLayout(entries, sizes) {
+  const { width, height } = largestSize(entries, sizes);
+  const spacing = Math.max(width, height) + GAP;
+  return entries.map((entry, index) => spiralPoint(index, spacing));
+}
+
+// Push two overlapping planes apart along the axis where they overlap least
+function pushApart(a, b) {
+  const dx = b.x - a.x;
+  const dy = b.y - a.y;
+  const overlapX = (a.width + b.width) / 2 + GAP - Math.abs(dx);
+  const overlapY = (a.height + b.height) / 2 + GAP - Math.abs(dy);
+
+  if (overlapX < overlapY) {
+    // Planes sharing the exact same spot are split in index order
+    const direction = dx === 0 ? 1 : Math.sign(dx);
+    a.x -= direction * overlapX / 2;
+    b.x += direction * overlapX / 2;
+  } else {
+    const direction = dy === 0 ? 1 : Math.sign(dy);
+    a.y -= direction * overlapY / 2;
+    b.y += direction * overlapY / 2;
+  }
+}
+
+// Push every pair of overlapping planes apart. Planes are bucketed in a grid
+// of cells as large as the largest plane plus the gap, so only planes in
+// neighbouring cells can overlap and large catalogs avoid comparing all pairs.
+// Returns true when any plane moved.
+function separate(nodes) {
+  const cellSize = nodes.reduce((largest, node) => Math.max(largest, node.width, node.height), 0) + GAP;
+  const cells = new Map();
+  const keyOf = (column, row) => column * CELL_KEY_STRIDE + row;
+  const cellIndices = nodes.map((node, index) => {
+    const cell = [Math.floor(node.x / cellSize), Math.floor(node.y / cellSize)];
+    const key = keyOf(cell[0], cell[1]);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(index);
+    return cell;
+  });
+
+  let moved = false;
+  nodes.forEach((a, i) => {
+    const [column, row] = cellIndices[i];
+    for (let dx = -1; dx <= 1; dx++) {
+      for (let dy = -1; dy <= 1; dy++) {
+        const neighbours = cells.get(keyOf(column + dx, row + dy));
+        if (!neighbours) continue;
+        neighbours.forEach(j => {
+          if (j <= i || !overlaps(a, nodes[j])) return;
+          pushApart(a, nodes[j]);
+          moved = true;
+        });
+      }
+    }
+  });
+  return moved;
+}
+
+// Pull every plane towards its seed position and push planes apart until none overlap
+function relax(entries, sizes, seeds) {
+  const nodes = entries.map((entry, index) => {
+    const seed = seeds[index];
+    return { x: seed[0], y: seed[1], seed, ...sizeOf(entry, sizes) };
+  });
+
+  const relaxIterations = 150;
+  const attraction = 0.05;
+  for (let iteration = 0; iteration < relaxIterations; iteration++) {
+    nodes.forEach(node => {
+      node.x += (node.seed[0] - node.x) * attraction;
+      node.y += (node.seed[1] - node.y) * attraction;
+    });
+    separate(nodes);
+  }
+
+  // Finish with separation only, so the attraction cannot leave overlaps behind
+  for (let iteration = 0; iteration < 500 && separate(nodes); iteration++);
+
+  return nodes.map(node => [node.x, node.y, 0]);
+}
+
+// Force-directed layout: planes are pulled towards their catalog position (or
+// a spiral slot when they have none) and pushed apart until none overlap.
+function forceLayout(entries, sizes) {
+  const { width, height } = largestSize(entries, sizes);
+  const spacing = Math.max(width, height) + GAP;
+  const seeds = entries.map((entry, index) => entry.position || spiralPoint(index, spacing));
+  return relax(entries, sizes, seeds);
+}
+
+// Emotional map: valence on x, arousal on y. Works without emotional data are
+// lined up in a row below the map.
+function emotionLayout(entries, sizes) {
+  const { width } = largestSize(entries, sizes);
+  const unrated = entries.filter(entry => !emotionCoordinates(entry));
+  const rowY = -(EMOTION_MAP_RADIUS + 2.5);
+
+  let unratedIndex = 0;
+  const seeds = entries.map(entry => {
+    const coordinates = emotionCoordinates(entry);
+    if (coordinates) {
+      return [coordinates.valence * EMOTION_MAP_RADIUS, coordinates.arousal * EMOTION_MAP_RADIUS, 0];
+    }
+    const column = unratedIndex++ - (unrated.length - 1) / 2;
+    return [column * (width + GAP), rowY, 0];
+  });
+  return relax(entries, sizes, seeds);
+}
+
+// Centre of each emotion region's cluster of planes, for labels and camera
+// panning. Regions without works fall back to the middle of their quadrant.
+export function emotionRegionCenters(entries, positions) {
+  return EMOTION_REGIONS.map(region => {
+    const members = positions.filter((position, index) => emotionRegionOf(entries[index]) === region);
+    const center = members.length > 0
+      ? [
+          members.reduce((sum, position) => sum + position[0], 0) / members.length,
+          members.reduce((sum, position) => sum + position[1], 0) / members.length,
+          0,
+        ]
+      : [region.valence * EMOTION_MAP_RADIUS / 2, region.arousal * EMOTION_MAP_RADIUS / 2, 0];
+    return { ...region, center, count: members.length };
+  });
+}
+
+// Cluster planes by their first tag: each cluster is a small grid, and the
+// clusters themselves are laid out on a grid, sorted by tag name.
+function tagLayout(entries, sizes) {
+  const groups = new Map();
+  entries.forEach((entry, index) => {
+    const tag = entry.tags && entry.tags.length > 0 ? entry.tags[0] : UNTAGGED;
+    if (!groups.has(tag)) groups.set(tag, []);
+    groups.get(tag).push(index);
+  });
+
+  const clusters = [...groups.keys()].sort().map(tag => {
+    const members = groups.get(tag).map(index => entries[index]);
+    const { width, height } = largestSize(members, sizes);
+    const columns = Math.ceil(Math.sqrt(members.length));
+    const rows = Math.ceil(members.length / columns);
+    return {
+      indices: groups.get(tag),
+      localPositions: gridLayout(members, sizes),
+      width: columns * (width + GAP),
+      height: rows * (height + GAP),
+    };
+  });
+
+  const cellWidth = Math.max(...clusters.map(cluster => cluster.width)) + CLUSTER_GAP;
+  const cellHeight = Math.max(...clusters.map(cluster => cluster.height)) + CLUSTER_GAP;
+  const columns = Math.ceil(Math.sqrt(clusters.length));
+  const rows = Math.ceil(clusters.length / columns);
+
+  const positions = new Array(entries.length);
+  clusters.forEach((cluster, clusterIndex) => {
+    const centerX = (clusterIndex % columns - (columns - 1) / 2) * cellWidth;
+    const centerY = ((rows - 1) / 2 - Math.floor(clusterIndex / columns)) * cellHeight;
+    cluster.indices.forEach((entryIndex, memberIndex) => {
+      const [x, y, z] = cluster.localPositions[memberIndex];
+      positions[entryIndex] = [centerX + x, centerY + y, z];
+    });
+  });
+  return positions;
+}
+
+// Keep the curator's positions and place entries without one on the first
+// free spiral slot, so they never land on top of another plane.
+function catalogLayout(entries, sizes) {
+  const { width, height } = largestSize(entries, sizes);
+  const spacing = Math.max(width, height) + GAP;
+
+  const placed = entries
+    .filter(entry => entry.position)
+    .map(entry => ({ x: entry.position[0], y: entry.position[1], ...sizeOf(entry, sizes) }));
+
+  let slot = 0;
+  return entries.map(entry => {
+    if (entry.position) return entry.position;
+
+    const size = sizeOf(entry, sizes);
+    let candidate;
+    do {
+      const [x, y] = spiralPoint(slot++, spacing);
+      candidate = { x, y, ...size };
+    } while (placed.some(other => overlaps(candidate, other)));
+
+    placed.push(candidate);
+    return [candidate.x, candidate.y, 0];
+  });
+}
+
+const layouts = {
+  catalog: catalogLayout,
+  grid: gridLayout,
+  spiral: spiralLayout,
+  force: forceLayout,
+  tags: tagLayout,
+  emotion: emotionLayout,
+};
+
+// Compute plane positions for the catalog. `sizes` maps artwork ids to their
+// { width, height } in world units, as far as they are known.
+export function computeLayout(entries, mode = DEFAULT_LAYOUT_MODE, sizes = {}) {
+  if (entries.length === 0) return [];
+  const layout = layouts[mode] || catalogLayout;
+  return layout(entries, sizes);
+}
@@ -0,0 +1,95 @@
+import { unmeasuredPlaneSize } from './layout';
+import { fitDistance } from './cameraTransition';
+
+// Limits of navigation on the map. The camera target stays over the catalog:
+// its bounding box plus a margin, with a soft rubber band at the edges. How
+// far the camera can zoom out depends on the size of the collection, and at
+// full zoom-out the view settles on the middle of it.
+
+export const BOUNDS_MARGIN = 3; // World units of empty map the target may reach around the artworks
+export const OVERSHOOT = 1.5; // How far past the bounds the rubber band stretches
+export const RUBBER_BAND_STIFFNESS = 8; // How quickly the target springs back, per second
+// Range of the camera distance at full zoom-out. The low end stays above the
+// initial view's distance, so that small collections can still be panned.
+export const MIN_ZOOM_OUT = 15;
+export const MAX_ZOOM_OUT = 50;
+export const FULL_ZOOM_OUT = 0.98; // Fraction of the maximum distance that counts as fully zoomed out
+
+const PAN_SPEED = 1.2;
+const ZOOMED_IN_BOOST = 0.5; // Extra pan speed when close up, where the map moves too slowly otherwise
+const REFERENCE_DISTANCE = 10; // Camera distance of the initial view
+const KEY_PAN_STEP = 0.02; // Keyboard pan per key press, as a fraction of the camera distance
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Box around every placed artwork, grown by `margin` on each side, or null
+// when nothing is placed yet
+export function catalogBounds(entries, positions, sizes, margin = BOUNDS_MARGIN) {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  entries.forEach((entry, index) => {
+    const position = positions[index];
+    if (!position) return;
+    const { width, height } = sizes[entry.id] || unmeasuredPlaneSize(entry.scale);
+    minX = Math.min(minX, position[0] - width / 2);
+    maxX = Math.max(maxX, position[0] + width / 2);
+    minY = Math.min(minY, position[1] - height / 2);
+    maxY = Math.max(maxY, position[1] + height / 2);
+  });
+  if (minX > maxX) return null;
+
+  return {
+    minX: minX - margin,
+    maxX: maxX + margin,
+    minY: minY - margin,
+    maxY: maxY + margin,
+    centerX: (minX + maxX) / 2,
+    centerY: (minY + maxY) / 2,
+  };
+}
+
+export const clampToBounds = (x, y, bounds) => [
+  clamp(x, bounds.minX, bounds.maxX),
+  clamp(y, bounds.minY, bounds.maxY),
+];
+
+// Largest camera distance: enough to see the whole collection, within limits
+export function maxZoomOut(camera, bounds) {
+  if (!bounds) return MAX_ZOOM_OUT;
+  const distance = fitDistance(camera, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, 1);
+  return clamp(distance, MIN_ZOOM_OUT, MAX_ZOOM_OUT);
+}
+
+// MapControls pan speed for a camera at `distance`: a little faster close up
+export function panSpeedFor(distance) {
+  const closeness = 1 - clamp(distance / REFERENCE_DISTANCE, 0, 1);
+  return PAN_SPEED * (1 + ZOOMED_IN_BOOST * closeness);
+}
+
+// World distance of one keyboard pan step, so that it feels the same at any zoom
+export const keyPanStep = (distance) => distance * KEY_PAN_STEP;
+
+// Move the controls towards where the rules want the target: inside the
+// bounds, or on the middle of the collection when fully zoomed out. The pull
+// grows with the distance to go, which gives the edges their give, and the
+// target never strays further than OVERSHOOT out. Call it every frame.
+export function stepBounds(controls, bounds, delta) {
+  const target = controls.target;
+  const distance = controls.object.position.distanceTo(target);
+  const goal = distance >= controls.maxDistance * FULL_ZOOM_OUT
+    ? [bounds.centerX, bounds.centerY]
+    : clampToBounds(target.x, target.y, bounds);
+
+  const pull = 1 - Math.exp(-RUBBER_BAND_STIFFNESS * delta);
+  const x = clamp(target.x + (goal[0] - target.x) * pull, bounds.minX - OVERSHOOT, bounds.maxX + OVERSHOOT);
+  const y = clamp(target.y + (goal[1] - target.y) * pull, bounds.minY - OVERSHOOT, bounds.maxY + OVERSHOOT);
+  const dx = x - target.x;
+  const dy = y - target.y;
+  if (Math.abs(dx) < 1e-4 && Math.abs(dy) < 1e-4) return;
+
+  // Camera and target move together, so the view direction is kept
+  target.x += dx;
+  target.y += dy;
+  controls.object.position.x += dx;
+  controls.object.position.y += dy;
+  controls.update();
+}
@@ -0,0 +1,55 @@
+import * as THREE from 'three';
+
+// Shared, reference-counted texture cache. Planes and popups acquire textures
+// by URL and release them when they no longer show them; a texture nobody
+// uses is disposed after a grace period, so panning back and forth does not
+// reload it every time.
+
+const DISPOSE_DELAY = 10000; // Milliseconds an unused texture stays in GPU memory
+
+const loader = new THREE.TextureLoader();
+const cache = new Map(); // url -> { promise, texture, refs, disposeTimer }
+
+// Start using the texture at `url`. Returns its loading `promise` and the
+// `release` function to call once it is no longer shown. Each release is
+// tied to the entry it acquired, so after a failed load is forgotten and
+// loaded again, a late release of the old one leaves the new one alone.
+export function acquireTexture(url) {
+  let entry = cache.get(url);
+  if (!entry) {
+    entry = { refs: 0, texture: null, disposeTimer: null };
+    entry.promise = loader.loadAsync(url).then(texture => {
+      texture.colorSpace = THREE.SRGBColorSpace;
+      entry.texture = texture;
+      return texture;
+    });
+    // Forget failed loads so a later acquire can try again
+    entry.promise.catch(() => {
+      if (cache.get(url) === entry) cache.delete(url);
+    });
+    cache.set(url, entry);
+  }
+
+  clearTimeout(entry.disposeTimer);
+  entry.refs++;
+
+  let released = false;
+  const release = () => {
+    if (released) return;
+    released = true;
+    releaseEntry(url, entry);
+  };
+  return { promise: entry.promise, release };
+}
+
+function releaseEntry(url, entry) {
+  entry.refs = Math.max(0, entry.refs - 1);
+  if (entry.refs > 0) return;
+
+  clearTimeout(entry.disposeTimer);
+  entry.disposeTimer = setTimeout(() => {
+    if (entry.refs > 0 || cache.get(url) !== entry) return;
+    if (entry.texture) entry.texture.dispose();
+    cache.delete(url);
+  }, DISPOSE_DELAY);
+}
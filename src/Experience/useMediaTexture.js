@@ -0,0 +1,185 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { useFrame } from '@react-three/fiber';
+import * as THREE from 'three';
+import { acquireMedia, releaseMedia, setMediaOnScreen } from '../Service/media';
+
+// Moving textures for time-based artworks (see playbackOf in catalog.js):
+// videos through the shared elements of Service/media.js, and animated images
+// decoded frame by frame. Both only move while `active`, which planes tie to
+// being on screen, so works out of view cost nothing but memory.
+
+// Width over height of whatever a texture shows: an image, a canvas or a video
+export function textureAspect(texture) {
+  const { image } = texture;
+  const width = image.videoWidth || image.width;
+  const height = image.videoHeight || image.height;
+  return width && height ? width / height : 1;
+}
+
+// Whether a plane of `size` at `position` is in the camera's view. Only
+// checked while `enabled`, as still images do not need to know.
+export function useOnScreen(position, size, enabled) {
+  const [onScreen, setOnScreen] = useState(false);
+  const onScreenRef = useRef(false);
+  const scratch = useMemo(() => ({
+    frustum: new THREE.Frustum(),
+    matrix: new THREE.Matrix4(),
+    box: new THREE.Box3(),
+    center: new THREE.Vector3(),
+    extent: new THREE.Vector3(),
+  }), []);
+
+  useFrame(({ camera }) => {
+    if (!enabled) return;
+    scratch.matrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+    scratch.frustum.setFromProjectionMatrix(scratch.matrix);
+    scratch.center.set(position[0], position[1], position[2]);
+    scratch.extent.set(size.width, size.height, 0.01);
+    const visible = scratch.frustum.intersectsBox(scratch.box.setFromCenterAndSize(scratch.center, scratch.extent));
+    if (visible !== onScreenRef.current) {
+      onScreenRef.current = visible;
+      setOnScreen(visible);
+    }
+  });
+
+  return enabled && onScreen;
+}
+
+// Texture of the shared video element for `url` (null for none). `texture`
+// stays null until the first frame is there; `error` is set when the video
+// cannot be loaded, and `retry` loads it again.
+export function useVideoTexture(url, active) {
+  const [result, setResult] = useState({ url: null, texture: null, failed: false });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!url) return undefined;
+    const element = acquireMedia(url, 'video');
+    if (element.error) element.load();
+    const texture = new THREE.VideoTexture(element);
+    texture.colorSpace = THREE.SRGBColorSpace;
+
+    const handleReady = () => setResult({ url, texture, failed: false });
+    const handleError = () => {
+      console.error(`Error loading video: ${url}`);
+      setResult({ url, texture: null, failed: true });
+    };
+    if (element.readyState >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+      handleReady();
+    } else {
+      element.addEventListener('loadeddata', handleReady, { once: true });
+    }
+    element.addEventListener('error', handleError);
+
+    return () => {
+      element.removeEventListener('loadeddata', handleReady);
+      element.removeEventListener('error', handleError);
+      texture.dispose();
+      releaseMedia(url);
+    };
+  }, [url, attempt]);
+
+  useEffect(() => {
+    if (!url || !active) return undefined;
+    setMediaOnScreen(url, true);
+    return () => setMediaOnScreen(url, false);
+  }, [url, active]);
+
+  const retry = useCallback(() => {
+    setResult(prev => ({ ...prev, failed: false }));
+    setAttempt(n => n + 1);
+  }, []);
+
+  const current = result.url === url ? result : { texture: null, failed: false };
+  return { texture: current.texture, error: current.failed, retry };
+}
+
+// Texture of an animated image (null for none), drawn frame by frame with
+// the browser's ImageDecoder. Where that is missing, or the file cannot be
+// decoded, `texture` stays null and callers show the image as a still.
+export function useAnimatedTexture(url, active) {
+  const [result, setResult] = useState({ url: null, texture: null });
+  const playerRef = useRef(null);
+
+  // Decode the file once, and show its first frame
+  useEffect(() => {
+    if (!url || typeof window.ImageDecoder === 'undefined') return undefined;
+    let cancelled = false;
+    const canvas = document.createElement('canvas');
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    const player = { decoder: null, canvas, texture, frameCount: 1, frameIndex: 0 };
+
+    (async () => {
+      try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        player.decoder = new window.ImageDecoder({
+          data: response.body,
+          type: response.headers.get('content-type') || 'image/gif',
+        });
+        await player.decoder.completed;
+        if (cancelled) return;
+        player.frameCount = player.decoder.tracks.selectedTrack.frameCount;
+        await showFrame(player);
+        if (cancelled) return;
+        playerRef.current = player;
+        setResult({ url, texture });
+      } catch (error) {
+        if (!cancelled) console.warn(`[media] Could not animate ${url}, showing it as a still: ${error.message}`);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      playerRef.current = null;
+      if (player.decoder) player.decoder.close();
+      texture.dispose();
+    };
+  }, [url]);
+
+  const texture = result.url === url ? result.texture : null;
+
+  // Step through the frames while active, each for as long as the file says
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!texture || !active || !player || player.frameCount < 2) return undefined;
+    let timer = null;
+    let stopped = false;
+
+    const step = async () => {
+      player.frameIndex = (player.frameIndex + 1) % player.frameCount;
+      try {
+        const duration = await showFrame(player);
+        if (!stopped) timer = setTimeout(step, duration);
+      } catch (error) {
+        if (!stopped) console.warn(`[media] Stopped animating ${url}: ${error.message}`);
+      }
+    };
+    timer = setTimeout(step, 0);
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+    };
+  }, [texture, active, url]);
+
+  return { texture };
+}
+
+const MIN_FRAME_DURATION = 20; // Milliseconds; browsers slow down faster GIFs too
+
+// Draw the player's current frame, resolving with how long it should stay, in milliseconds
+async function showFrame(player) {
+  const { image } = await player.decoder.decode({ frameIndex: player.frameIndex });
+  const { canvas } = player;
+  if (canvas.width !== image.displayWidth || canvas.height !== image.displayHeight) {
+    canvas.width = image.displayWidth;
+    canvas.height = image.displayHeight;
+  }
+  canvas.getContext('2d').drawImage(image, 0, 0);
+  const duration = image.duration ? image.duration / 1000 : 100; // VideoFrame durations are in microseconds
+  image.close();
+  player.texture.needsUpdate = true;
+  return Math.max(MIN_FRAME_DURATION, duration);
+}
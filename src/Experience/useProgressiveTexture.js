@@ -0,0 +1,89 @@
+import { useCallback, useEffect, useMemo, useState } from 'react';
+import { useThree } from '@react-three/fiber';
+import { acquireTexture } from './textureCache';
+
+// Levels of detail, coarsest first. "thumb" and "mid" come from the variants
+// made by scripts/make-image-variants.js; "full" is the original file.
+export const TEXTURE_LEVELS = ['thumb', 'mid', 'full'];
+
+// Camera distances (world units) under which a plane needs a finer level
+const LEVEL_DISTANCES = { full: 3.5, mid: 10 };
+const HYSTERESIS = 1.15;
+
+// Level of detail for a plane at `distance` from the camera. Moving to a
+// finer level happens at the threshold, moving back only once the camera is
+// clearly past it, so planes do not flicker between levels at the boundary.
+export function levelForDistance(distance, currentLevel) {
+  const currentRank = TEXTURE_LEVELS.indexOf(currentLevel);
+  const threshold = (level) =>
+    LEVEL_DISTANCES[level] * (currentRank >= TEXTURE_LEVELS.indexOf(level) ? HYSTERESIS : 1);
+
+  if (distance < threshold('full')) return 'full';
+  if (distance < threshold('mid')) return 'mid';
+  return 'thumb';
+}
+
+// Load an image progressively: every available level up to `level` is held,
+// coarser ones first, and the finest one loaded so far is returned. Levels
+// above `level` are released, which frees far-away full-size textures.
+// `texture` is null until the first level arrives, and for a null `url`;
+// `error` is set when the original image itself cannot be loaded.
+export function useProgressiveTexture(url, variants, level) {
+  const { gl } = useThree();
+  const [textures, setTextures] = useState({}); // url -> texture
+  const [failed, setFailed] = useState({}); // url -> true
+
+  const thumbUrl = variants && variants.thumb;
+  const midUrl = variants && variants.mid;
+
+  const wanted = useMemo(() => {
+    if (!url) return [];
+    const urls = { thumb: thumbUrl, mid: midUrl, full: url };
+    const upTo = TEXTURE_LEVELS.indexOf(level);
+    const available = TEXTURE_LEVELS
+      .slice(0, upTo + 1)
+      .map(name => urls[name])
+      .filter(levelUrl => levelUrl && !failed[levelUrl]);
+    // Without usable variants, the original is the only thing to show
+    return available.length > 0 ? available : [url];
+  }, [url, thumbUrl, midUrl, level, failed]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    // Drop textures of levels that are no longer wanted
+    setTextures(prev => {
+      const kept = Object.fromEntries(Object.entries(prev).filter(([key]) => wanted.includes(key)));
+      return Object.keys(kept).length === Object.keys(prev).length ? prev : kept;
+    });
+
+    const releases = wanted.map(levelUrl => {
+      const { promise, release } = acquireTexture(levelUrl);
+      promise.then(
+        texture => {
+          if (cancelled) return;
+          texture.anisotropy = gl.capabilities.getMaxAnisotropy();
+          setTextures(prev => (prev[levelUrl] === texture ? prev : { ...prev, [levelUrl]: texture }));
+        },
+        () => {
+          if (cancelled) return;
+          console.error(`Error loading texture: ${levelUrl}`);
+          // Keep the same object for known failures, or the effect would retry forever
+          setFailed(prev => (prev[levelUrl] ? prev : { ...prev, [levelUrl]: true }));
+        }
+      );
+      return release;
+    });
+
+    return () => {
+      cancelled = true;
+      releases.forEach(release => release());
+    };
+  }, [wanted, gl]);
+
+  // Forget failures so every level is loaded again
+  const retry = useCallback(() => setFailed({}), []);
+
+  const finest = [...wanted].reverse().find(levelUrl => textures[levelUrl]);
+  return { texture: finest ? textures[finest] : null, error: Boolean(failed[url]), retry };
+}
@@ -0,0 +1,43 @@
+import { useCallback, useEffect, useState } from 'react';
+import { acquireTexture } from './textureCache';
+
+// Load a single texture without suspending. `status` is "loading", "ready"
+// or "error"; `retry` loads a failed texture again. Use this instead of
+// useTexture, which throws on a missing file and blanks the whole Suspense
+// tree around it.
+export function useResilientTexture(url) {
+  const [result, setResult] = useState({ url: null, texture: null, failed: false });
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!url) return undefined;
+    let cancelled = false;
+    const { promise, release } = acquireTexture(url);
+
+    promise.then(
+      texture => {
+        if (!cancelled) setResult({ url, texture, failed: false });
+      },
+      () => {
+        if (cancelled) return;
+        console.error(`Error loading texture: ${url}`);
+        setResult({ url, texture: null, failed: true });
+      }
+    );
+
+    return () => {
+      cancelled = true;
+      release();
+    };
+  }, [url, attempt]);
+
+  const retry = useCallback(() => {
+    setResult(prev => ({ ...prev, failed: false }));
+    setAttempt(n => n + 1);
+  }, []);
+
+  // Results for a previous url do not count once the url changes
+  const current = result.url === url ? result : { texture: null, failed: false };
+  const status = current.failed ? 'error' : current.texture ? 'ready' : 'loading';
+  return { texture: current.texture, status, retry };
+}
@@ -0,0 +1,211 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+
+// Ambient sound layer of the map. Catalog entries can name an `ambient` clip,
+// which loops at the position of their plane; every clip is heard louder the
+// closer the camera target is to it, and from the side it lies on, so sounds
+// crossfade into each other as the visitor pans across the map.
+//
+// Browsers only allow sound after the visitor has interacted with the page,
+// so nothing plays before unlockAmbientAudio() is called from the first click
+// on the intro overlay. The volume and mute setting are remembered across
+// visits.
+
+const STORAGE_KEY = 'manifesta.ambient';
+const DEFAULT_VOLUME = 0.6;
+
+const FULL_VOLUME_RADIUS = 1.5; // World units around a clip where it plays at full volume
+const HEARING_RADIUS = 8; // Beyond this a clip is silent
+const LOAD_RADIUS = HEARING_RADIUS * 1.5; // Clips start loading a little before they can be heard
+const RELEASE_RADIUS = LOAD_RADIUS * 1.5; // and are dropped again once well out of range
+const MAX_VOICES = 6; // Most clips loaded at the same time, nearest first
+const FADE_TIME = 0.25; // Seconds; time constant of every volume change
+const MAX_PAN = 0.8; // Clips to the side never play from one speaker only
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const savedSettings = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY)) || {};
+    return {
+      volume: typeof saved.volume === 'number' ? clamp(saved.volume, 0, 1) : DEFAULT_VOLUME,
+      muted: saved.muted === true,
+    };
+  } catch {
+    return { volume: DEFAULT_VOLUME, muted: false }; // Storage disabled, or not valid JSON
+  }
+};
+
+let state = { ...savedSettings(), unlocked: false };
+let context = null; // AudioContext, created on unlock
+let master = null; // Gain node every clip goes through
+const listeners = new Set();
+
+function setState(changes) {
+  state = { ...state, ...changes };
+  if (master) master.gain.setTargetAtTime(state.muted ? 0 : state.volume, context.currentTime, FADE_TIME);
+  listeners.forEach(listener => listener());
+}
+
+function saveSettings() {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ volume: state.volume, muted: state.muted }));
+  } catch {
+    // Not remembered across visits, but the change itself still applies
+  }
+}
+
+export function setAmbientVolume(volume) {
+  setState({ volume: clamp(volume, 0, 1), muted: false });
+  saveSettings();
+}
+
+export function setAmbientMuted(muted) {
+  setState({ muted });
+  saveSettings();
+}
+
+// Allow the layer to play. Call it from a click or key handler, as browsers
+// only let a page start audio in response to one; later calls do nothing.
+export function unlockAmbientAudio() {
+  if (state.unlocked) return;
+  const AudioContext = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContext) {
+    console.warn('[ambient] Web Audio is not available, the map stays silent');
+    return;
+  }
+  context = new AudioContext();
+  master = context.createGain();
+  master.gain.value = 0;
+  master.connect(context.destination);
+  context.resume().catch(error => console.warn(`[ambient] Could not start audio: ${error.message}`));
+
+  // No sound from a tab in the background
+  document.addEventListener('visibilitychange', () => {
+    if (document.hidden) {
+      context.suspend();
+    } else {
+      context.resume();
+    }
+  });
+
+  setState({ unlocked: true });
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// { volume, muted, unlocked }, re-rendering when any of them changes
+export const useAmbientSettings = () => useSyncExternalStore(subscribe, () => state);
+
+// Volume of a clip `distance` world units from the camera target, 0 to 1
+export function ambientGain(distance) {
+  if (distance <= FULL_VOLUME_RADIUS) return 1;
+  if (distance >= HEARING_RADIUS) return 0;
+  const t = (distance - FULL_VOLUME_RADIUS) / (HEARING_RADIUS - FULL_VOLUME_RADIUS);
+  const fade = 1 - t;
+  return fade * fade * (3 - 2 * fade); // Smoothstep, so clips neither pop in nor drop out
+}
+
+// A looping clip on its way into the mix: <audio> element -> gain -> panner -> master
+function createVoice(url) {
+  const element = new Audio();
+  element.crossOrigin = 'anonymous';
+  element.loop = true;
+  element.preload = 'auto';
+  element.src = url;
+  element.addEventListener('error', () => console.error(`[ambient] Could not load ${url}`), { once: true });
+
+  const gain = context.createGain();
+  gain.gain.value = 0;
+  const panner = context.createStereoPanner();
+  context.createMediaElementSource(element).connect(gain).connect(panner).connect(master);
+  return { element, gain, panner };
+}
+
+const voiceKey = (clip) => `${clip.id}\n${clip.url}`;
+
+function releaseVoice(voice) {
+  voice.element.pause();
+  voice.panner.disconnect();
+  // Dropping the source is what frees the decoder and the buffered data
+  voice.element.removeAttribute('src');
+  voice.element.load();
+}
+
+// Mix the ambient `clips` ([{ id, url, x, y }]) for the camera target in
+// `viewRef` ({ x, y }, written by the scene every frame). Only the clips close
+// enough to be heard are loaded and playing. Voices are kept per artwork and
+// clip, so new positions, e.g. while the layout settles or a curator moves a
+// work, only move the sound instead of restarting it.
+export function useAmbientAudio(clips, viewRef) {
+  const { unlocked } = useAmbientSettings();
+  const clipsRef = useRef(clips);
+
+  useEffect(() => {
+    clipsRef.current = clips;
+  }, [clips]);
+
+  useEffect(() => {
+    if (!unlocked || !context) return undefined;
+    const voices = new Map(); // voiceKey(clip) -> voice
+    let lastView = null;
+    let lastClips = null;
+    let request;
+
+    const mix = () => {
+      request = requestAnimationFrame(mix);
+      const view = viewRef.current;
+      const clips = clipsRef.current;
+      if (!view || (clips === lastClips && view.x === lastView.x && view.y === lastView.y)) return;
+      lastView = { x: view.x, y: view.y };
+
+      if (clips !== lastClips) {
+        // Drop the voices of clips that left the catalog or changed their file
+        const current = new Set(clips.map(voiceKey));
+        voices.forEach((voice, key) => {
+          if (current.has(key)) return;
+          releaseVoice(voice);
+          voices.delete(key);
+        });
+        lastClips = clips;
+      }
+
+      const nearby = clips
+        .map(clip => ({ clip, key: voiceKey(clip), distance: Math.hypot(clip.x - view.x, clip.y - view.y) }))
+        .sort((a, b) => a.distance - b.distance);
+      const wanted = new Set(nearby.slice(0, MAX_VOICES).filter(({ distance }) => distance < LOAD_RADIUS).map(({ key }) => key));
+
+      nearby.forEach(({ clip, key, distance }) => {
+        let voice = voices.get(key);
+        if (!voice) {
+          if (!wanted.has(key)) return;
+          voice = createVoice(clip.url);
+          voices.set(key, voice);
+        } else if (!wanted.has(key) && distance > RELEASE_RADIUS) {
+          releaseVoice(voice);
+          voices.delete(key);
+          return;
+        }
+
+        const volume = wanted.has(key) ? ambientGain(distance) : 0;
+        voice.gain.gain.setTargetAtTime(volume, context.currentTime, FADE_TIME);
+        voice.panner.pan.setTargetAtTime(clamp((clip.x - view.x) / HEARING_RADIUS, -1, 1) * MAX_PAN, context.currentTime, FADE_TIME);
+        if (volume > 0 && voice.element.paused) {
+          voice.element.play().catch(error => {
+            if (error.name !== 'AbortError') console.warn(`[ambient] Could not play ${clip.url}: ${error.message}`);
+          });
+        } else if (volume === 0 && !voice.element.paused) {
+          voice.element.pause(); // Faded out on the way here, unless the view jumped
+        }
+      });
+    };
+
+    request = requestAnimationFrame(mix);
+    return () => {
+      cancelAnimationFrame(request);
+      voices.forEach(releaseVoice);
+    };
+  }, [unlocked, viewRef]);
+}
@@ -0,0 +1,359 @@
+import { EMOTIONS, isKnownEmotion } from './emotions';
+import { LANGUAGES, isLanguage } from './i18n';
+
+// Artwork catalog: the single source of artwork data for the whole app.
+//
+// The catalog is a JSON manifest fetched at startup (public/catalog.json by
+// default), so artworks can be added without rebuilding the app.
+// Every entry follows this schema:
+//
+//   id          number | string  required, unique across the catalog
+//   path        string           required, file path relative to the manifest (e.g. "assets/img/MANIFESTO.jpg")
+//   type        string           optional, one of MEDIA_TYPES; guessed from the extension of `path` when left out
+//   cover       string           optional, image shown on the plane of video and audio works, relative to the manifest
+//   ambient     string           optional, looping sound heard around the plane on the map, relative to the manifest
+//   title       text             shown in popups and info cards
+//   description text             short caption
+//   details     text             longer text about the work
+//   position    [x, y, z]        optional, three finite numbers; entries without one get null
+//   scale       number           optional, size of the plane relative to the default (1), greater than 0
+//   tags        string[]         optional, free-form keywords
+//   author      string           optional
+//   date        string           optional, ISO date ("2024" or "2024-06-07")
+//   links       {label, url}[]   optional, external links shown in the detail panel (http/https only); label is text
+//   credits     text             optional, photo and production credits
+//   emotions    string[]         optional, names from the vocabulary in emotions.js
+//   valence     number           optional, -1 (unpleasant) to 1 (pleasant); needs arousal
+//   arousal     number           optional, -1 (low energy) to 1 (high energy); needs valence
+//
+// "text" fields are either a string, used for every language, or an object
+// with one string per language code, e.g. { "en": "Manifesto", "it": "Manifesto" };
+// read them through localize() in i18n.js.
+//
+// Entries that break the schema are reported on the console and either
+// repaired (bad optional fields are dropped) or skipped (missing path,
+// duplicate id), so one broken entry never takes the whole map down.
+// Parsed entries also carry `url`, the path resolved against the manifest
+// location; use it to load the file and keep `path` for display and export.
+// Likewise `coverUrl` for `cover` and `ambientUrl` for `ambient`. Use
+// stillImageUrl() and playbackOf() to find out what to draw for an entry and
+// how to play it.
+// When an image-variants.json index sits next to the manifest (written by
+// `npm run images`), entries get `variants: { thumb, mid }` URLs too.
+
+export const DEFAULT_CATALOG_URL = 'catalog.json';
+const VARIANTS_INDEX = 'image-variants.json';
+
+// "animated" covers looping works without sound: GIFs and other animated
+// images, or short silent videos
+export const MEDIA_TYPES = ['image', 'video', 'animated', 'audio'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'ogv', 'mov', 'm4v'];
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'm4a', 'aac', 'flac', 'opus'];
+const ANIMATED_EXTENSIONS = ['gif'];
+
+const extensionOf = (path) => {
+  const match = /\.([a-z0-9]+)$/i.exec(path.split(/[?#]/)[0]);
+  return match ? match[1].toLowerCase() : '';
+};
+
+const isVideoPath = (path) => VIDEO_EXTENSIONS.includes(extensionOf(path));
+
+export function guessMediaType(path) {
+  const extension = extensionOf(path);
+  if (VIDEO_EXTENSIONS.includes(extension)) return 'video';
+  if (AUDIO_EXTENSIONS.includes(extension)) return 'audio';
+  if (ANIMATED_EXTENSIONS.includes(extension)) return 'animated';
+  return 'image';
+}
+
+// How the file of an entry plays: in a "video" element (animated works in a
+// video format too), an "audio" element, as an "animated" image decoded frame
+// by frame, or not at all (null) for still images
+export function playbackOf(entry) {
+  if (entry.type === 'animated') return isVideoPath(entry.path) ? 'video' : 'animated';
+  return entry.type === 'image' ? null : entry.type;
+}
+
+// Image to draw for an entry where a still picture is needed: the file itself
+// for images and animated images, otherwise the cover, which may be null
+export const stillImageUrl = (entry) =>
+  (entry.type === 'image' || playbackOf(entry) === 'animated' ? entry.url : entry.coverUrl);
+
+// Whether the entry is a picture, still or animated, the only kind the
+// fullscreen lightbox shows
+export const isPicture = (entry) => stillImageUrl(entry) === entry.url;
+
+// Video and sound works get play, pause and seek controls when open
+export const hasPlaybackControls = (entry) => entry.type === 'video' || entry.type === 'audio';
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isValidId = (value) =>
+  (typeof value === 'number' && Number.isFinite(value)) || isNonEmptyString(value);
+
+const isValidPosition = (value) =>
+  Array.isArray(value) && value.length === 3 && value.every(n => typeof n === 'number' && Number.isFinite(n));
+
+const isUnitValue = (value) => typeof value === 'number' && value >= -1 && value <= 1;
+
+const isHttpUrl = (value) => {
+  if (!isNonEmptyString(value)) return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const optionalString = (entry, field, label, problems) => {
+  const value = entry[field];
+  if (value === undefined || value === null) return '';
+  if (typeof value !== 'string') {
+    problems.push(`${label}: "${field}" must be a string, got ${typeof value}`);
+    return '';
+  }
+  return value;
+};
+
+export const isLocalizedText = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.entries(value).every(([language, text]) => isLanguage(language) && typeof text === 'string');
+
+// A string, or an object with one string per supported language. Shared with
+// the other files that sit next to the catalog, such as tours.json.
+export const optionalText = (entry, field, label, problems) => {
+  const value = entry[field];
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value;
+  if (isLocalizedText(value)) return { ...value };
+  problems.push(`${label}: "${field}" must be a string or an object of strings keyed by ${LANGUAGES.join('/')}`);
+  return '';
+};
+
+// Validate and normalize raw catalog data. Returns the usable entries plus a
+// list of human-readable problems; it never throws on bad entries.
+export function parseCatalog(raw, source = 'catalog', baseUrl = document.baseURI) {
+  const problems = [];
+  const entries = [];
+
+  if (!Array.isArray(raw)) {
+    problems.push(`${source}: expected an array of artworks, got ${typeof raw}`);
+    return { entries, problems };
+  }
+
+  // Keyed by the string form of ids, as routes, reactions and tours compare
+  // them: 3 and "3" are the same work there, so the second is a duplicate
+  const seenIds = new Map();
+
+  raw.forEach((entry, index) => {
+    const label = `${source}[${index}]`;
+
+    if (!entry || typeof entry !== 'object') {
+      problems.push(`${label}: entry is not an object, skipped`);
+      return;
+    }
+    if (!isValidId(entry.id)) {
+      problems.push(`${label}: missing or invalid "id", skipped`);
+      return;
+    }
+    if (seenIds.has(String(entry.id))) {
+      problems.push(`${label}: duplicate id ${JSON.stringify(entry.id)} (already used by ${source}[${seenIds.get(String(entry.id))}]), skipped`);
+      return;
+    }
+    if (!isNonEmptyString(entry.path)) {
+      problems.push(`${label} (id ${entry.id}): missing "path", skipped`);
+      return;
+    }
+    seenIds.set(String(entry.id), index);
+
+    let position = null;
+    if (entry.position !== undefined && entry.position !== null) {
+      if (isValidPosition(entry.position)) {
+        position = [...entry.position];
+      } else {
+        problems.push(`${label} (id ${entry.id}): bad position ${JSON.stringify(entry.position)}, expected [x, y, z] numbers`);
+      }
+    }
+
+    let scale = 1;
+    if (entry.scale !== undefined && entry.scale !== null) {
+      if (typeof entry.scale === 'number' && Number.isFinite(entry.scale) && entry.scale > 0) {
+        scale = entry.scale;
+      } else {
+        problems.push(`${label} (id ${entry.id}): "scale" must be a number greater than 0`);
+      }
+    }
+
+    let tags = [];
+    if (entry.tags !== undefined) {
+      if (Array.isArray(entry.tags) && entry.tags.every(isNonEmptyString)) {
+        tags = [...entry.tags];
+      } else {
+        problems.push(`${label} (id ${entry.id}): "tags" must be an array of strings`);
+      }
+    }
+
+    let links = [];
+    if (entry.links !== undefined) {
+      if (Array.isArray(entry.links)) {
+        links = entry.links.filter(link => {
+          if (link && isHttpUrl(link.url) &&
+              (link.label === undefined || typeof link.label === 'string' || isLocalizedText(link.label))) return true;
+          problems.push(`${label} (id ${entry.id}): bad link ${JSON.stringify(link)}, expected { "label": text, "url": "http(s)://…" }`);
+          return false;
+        }).map(link => ({ label: link.label || '', url: link.url }));
+      } else {
+        problems.push(`${label} (id ${entry.id}): "links" must be an array`);
+      }
+    }
+
+    let emotions = [];
+    if (entry.emotions !== undefined) {
+      if (Array.isArray(entry.emotions) && entry.emotions.every(isNonEmptyString)) {
+        emotions = entry.emotions.filter(name => {
+          if (isKnownEmotion(name)) return true;
+          problems.push(`${label} (id ${entry.id}): unknown emotion "${name}", expected one of ${Object.keys(EMOTIONS).join(', ')}`);
+          return false;
+        });
+      } else {
+        problems.push(`${label} (id ${entry.id}): "emotions" must be an array of strings`);
+      }
+    }
+
+    let valence = null;
+    let arousal = null;
+    if (entry.valence !== undefined || entry.arousal !== undefined) {
+      if (isUnitValue(entry.valence) && isUnitValue(entry.arousal)) {
+        valence = entry.valence;
+        arousal = entry.arousal;
+      } else {
+        problems.push(`${label} (id ${entry.id}): "valence" and "arousal" must both be numbers between -1 and 1`);
+      }
+    }
+
+    const date = optionalString(entry, 'date', label, problems);
+    if (date && Number.isNaN(Date.parse(date))) {
+      problems.push(`${label} (id ${entry.id}): "date" ${JSON.stringify(date)} is not an ISO date`);
+    }
+
+    const path = entry.path.trim();
+
+    let type = guessMediaType(path);
+    if (entry.type !== undefined && entry.type !== null) {
+      if (MEDIA_TYPES.includes(entry.type)) {
+        type = entry.type;
+      } else {
+        problems.push(`${label} (id ${entry.id}): unknown type ${JSON.stringify(entry.type)}, expected one of ${MEDIA_TYPES.join(', ')}`);
+      }
+    }
+
+    const cover = optionalString(entry, 'cover', label, problems).trim();
+    const ambient = optionalString(entry, 'ambient', label, problems).trim();
+
+    entries.push({
+      id: entry.id,
+      path,
+      url: new URL(path, baseUrl).href,
+      type,
+      cover: cover || null,
+      coverUrl: cover ? new URL(cover, baseUrl).href : null,
+      ambient: ambient || null,
+      ambientUrl: ambient ? new URL(ambient, baseUrl).href : null,
+      variants: null,
+      title: optionalText(entry, 'title', label, problems),
+      description: optionalText(entry, 'description', label, problems),
+      details: optionalText(entry, 'details', label, problems),
+      position,
+      scale,
+      tags,
+      author: optionalString(entry, 'author', label, problems),
+      date,
+      links,
+      credits: optionalText(entry, 'credits', label, problems),
+      emotions,
+      valence,
+      arousal,
+    });
+  });
+
+  return { entries, problems };
+}
+
+export function reportCatalogProblems(problems) {
+  problems.forEach(problem => console.error(`[catalog] ${problem}`));
+}
+
+// Check that every artwork file can actually be fetched. Resolves with the
+// entries whose file is missing; meant for development, as it issues one
+// HEAD request per artwork.
+export async function findMissingFiles(entries) {
+  const results = await Promise.all(entries.map(async (entry) => {
+    try {
+      const response = await fetch(entry.url, { method: 'HEAD' });
+      return response.ok ? null : entry;
+    } catch {
+      return entry;
+    }
+  }));
+  return results.filter(Boolean);
+}
+
+export function findArtwork(entries, id) {
+  return entries.find(entry => entry.id === id) || null;
+}
+
+// Pick the catalog to load: a `?catalog=` URL parameter wins over the
+// source passed in by the app, which wins over public/catalog.json.
+export function resolveCatalogUrl(preferredUrl) {
+  const fromQuery = new URLSearchParams(window.location.search).get('catalog');
+  return fromQuery || preferredUrl || DEFAULT_CATALOG_URL;
+}
+
+// Fetch, validate and normalize a catalog manifest. Rejects when the manifest
+// itself cannot be loaded; problems with single entries are only reported.
+export async function loadCatalog(url, { signal } = {}) {
+  const manifestUrl = new URL(url, document.baseURI).href;
+
+  const response = await fetch(manifestUrl, { signal, cache: 'no-cache' });
+  if (!response.ok) {
+    throw new Error(`Could not load the catalog from ${url} (HTTP ${response.status})`);
+  }
+
+  let raw;
+  try {
+    raw = await response.json();
+  } catch {
+    throw new Error(`The catalog at ${url} is not valid JSON`);
+  }
+
+  const { entries, problems } = parseCatalog(raw, url, manifestUrl);
+  reportCatalogProblems(problems);
+
+  const variants = await loadImageVariants(manifestUrl, signal);
+  return entries.map(entry => {
+    const available = variants[entry.path];
+    if (!available) return entry;
+    return {
+      ...entry,
+      variants: {
+        thumb: available.thumb ? new URL(available.thumb, manifestUrl).href : null,
+        mid: available.mid ? new URL(available.mid, manifestUrl).href : null,
+      },
+    };
+  });
+}
+
+// Index of the downsized image variants, keyed by catalog path. Missing or
+// broken indexes just mean the original images are used.
+async function loadImageVariants(manifestUrl, signal) {
+  try {
+    const response = await fetch(new URL(VARIANTS_INDEX, manifestUrl).href, { signal, cache: 'no-cache' });
+    if (!response.ok) return {};
+    const index = await response.json();
+    return index && typeof index === 'object' ? index : {};
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    return {};
+  }
+}
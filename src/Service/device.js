@@ -0,0 +1,56 @@
+// Device capabilities that change how the map is navigated and presented.
+
+// True on phones and tablets, where the primary pointer is a finger
+export function isTouchDevice() {
+  if (typeof window === 'undefined') return false;
+  return window.matchMedia('(pointer: coarse)').matches || navigator.maxTouchPoints > 0;
+}
+
+const SWIPE_THRESHOLD = 50; // Minimum horizontal finger travel, in pixels, for a swipe
+
+// Direction of a horizontal swipe between two pointer positions: 'left',
+// 'right', or null when the movement was too short or mostly vertical
+export function swipeDirection(start, end) {
+  const dx = end.x - start.x;
+  const dy = end.y - start.y;
+  if (Math.abs(dx) <= SWIPE_THRESHOLD || Math.abs(dx) <= Math.abs(dy) * 1.5) return null;
+  return dx < 0 ? 'left' : 'right';
+}
+
+// Put the whole page in fullscreen. Browsers only allow it in response to a
+// click or key press; where it is refused or unsupported (iPhone Safari) the
+// page simply stays as it is.
+export function enterFullscreen() {
+  const element = document.documentElement;
+  const request = element.requestFullscreen || element.webkitRequestFullscreen;
+  if (!request || isFullscreen()) return;
+  Promise.resolve(request.call(element)).catch(error => {
+    console.warn(`Fullscreen not available: ${error.message}`);
+  });
+}
+
+export function exitFullscreen() {
+  if (!isFullscreen()) return;
+  const exit = document.exitFullscreen || document.webkitExitFullscreen;
+  Promise.resolve(exit.call(document)).catch(() => {
+    // Already left, e.g. with the browser's own Escape handling
+  });
+}
+
+export const isFullscreen = () => Boolean(document.fullscreenElement || document.webkitFullscreenElement);
+
+// True when the visitor asked their system for less motion on screen
+export function prefersReducedMotion() {
+  if (typeof window === 'undefined') return false;
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Rough guess at devices that would struggle with purely decorative GPU work:
+// few CPU cores, little memory, or the browser's data saver turned on
+export function isLowPowerDevice() {
+  if (typeof navigator === 'undefined') return false;
+  const connection = navigator.connection;
+  return (navigator.hardwareConcurrency !== undefined && navigator.hardwareConcurrency <= 2) ||
+    (navigator.deviceMemory !== undefined && navigator.deviceMemory <= 2) ||
+    Boolean(connection && connection.saveData);
+}
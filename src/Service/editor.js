@@ -0,0 +1,193 @@
+import { guessMediaType, parseCatalog, reportCatalogProblems } from './catalog';
+import { LANGUAGES } from './i18n';
+
+// Curator mode (`?edit`): artworks can be moved, scaled and re-captioned in
+// the browser, and new images added by dropping files on the page.
+//
+// Changes are kept in localStorage as a draft of the catalog until the
+// curator exports it, so editing works offline and survives reloads. The
+// draft is tied to the catalog it was made from; images added in the browser
+// are stored separately as data URLs, one key per artwork.
+
+const DRAFT_KEY = 'manifesta.editor.draft';
+const IMAGE_KEY_PREFIX = 'manifesta.editor.image.';
+const MAX_IMAGE_SIZE = 2048; // Longest side, in pixels, of images added in the browser
+const IMAGE_QUALITY = 0.9;
+
+export const isEditorEnabled = () => new URLSearchParams(window.location.search).has('edit');
+
+const readStorage = (key) => {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+};
+
+// Returns false when the browser refuses, typically because storage is full
+const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(key, value);
+    return true;
+  } catch (error) {
+    console.error(`[editor] Could not save to localStorage: ${error.message}`);
+    return false;
+  }
+};
+
+const imageKey = (id) => `${IMAGE_KEY_PREFIX}${id}`;
+
+// Catalog entry in the manifest format, as it would be written to
+// catalog.json: derived fields are dropped and empty optional ones left out
+export function toCatalogEntry(entry) {
+  const raw = { id: entry.id, path: entry.path };
+  const optional = {
+    type: entry.type !== guessMediaType(entry.path) ? entry.type : null,
+    cover: entry.cover,
+    ambient: entry.ambient,
+    title: entry.title,
+    description: entry.description,
+    details: entry.details,
+    position: entry.position,
+    scale: entry.scale !== 1 ? entry.scale : null,
+    tags: entry.tags.length > 0 ? entry.tags : null,
+    author: entry.author,
+    date: entry.date,
+    links: entry.links.length > 0 ? entry.links : null,
+    credits: entry.credits,
+    emotions: entry.emotions.length > 0 ? entry.emotions : null,
+    valence: entry.valence,
+    arousal: entry.arousal,
+  };
+  Object.entries(optional).forEach(([field, value]) => {
+    if (value !== null && value !== undefined && value !== '') raw[field] = value;
+  });
+  return raw;
+}
+
+// Parsed entries from the draft of `catalogUrl`, or null when there is none
+export function loadDraft(catalogUrl) {
+  let draft;
+  try {
+    draft = JSON.parse(readStorage(DRAFT_KEY));
+  } catch {
+    console.error('[editor] The saved draft is not valid JSON, ignoring it');
+    return null;
+  }
+  if (!draft || draft.sourceUrl !== catalogUrl) return null;
+
+  const manifestUrl = new URL(catalogUrl, document.baseURI).href;
+  const { entries, problems } = parseCatalog(draft.entries, 'draft', manifestUrl);
+  reportCatalogProblems(problems);
+
+  // Images added in the browser are shown from their stored copy
+  return entries.map(entry => {
+    const localImage = readStorage(imageKey(entry.id));
+    return localImage ? { ...entry, url: localImage } : entry;
+  });
+}
+
+export function saveDraft(catalogUrl, entries) {
+  const draft = {
+    sourceUrl: catalogUrl,
+    savedAt: new Date().toISOString(),
+    entries: entries.map(toCatalogEntry),
+  };
+  return writeStorage(DRAFT_KEY, JSON.stringify(draft));
+}
+
+export const saveDraftImage = (id, dataUrl) => writeStorage(imageKey(id), dataUrl);
+
+export function removeDraftImage(id) {
+  try {
+    window.localStorage.removeItem(imageKey(id));
+  } catch {
+    // Nothing to clean up
+  }
+}
+
+// Forget every unexported change, including images added in the browser
+export function clearDraft() {
+  try {
+    Object.keys(window.localStorage)
+      .filter(key => key === DRAFT_KEY || key.startsWith(IMAGE_KEY_PREFIX))
+      .forEach(key => window.localStorage.removeItem(key));
+  } catch {
+    // Nothing to clean up
+  }
+}
+
+// Does the entry show an image that only exists in this browser?
+export const hasLocalImage = (entry) => entry.url.startsWith('data:');
+
+// Set one language of a catalog text field. Plain strings stand for every
+// language, so they are spread over all of them first; a field whose
+// languages all agree again collapses back to a plain string.
+export function setTranslation(value, language, text) {
+  const base = typeof value === 'string'
+    ? Object.fromEntries(LANGUAGES.map(code => [code, value]))
+    : { ...value };
+  base[language] = text;
+
+  const filled = Object.fromEntries(Object.entries(base).filter(([, translation]) => translation !== ''));
+  const versions = [...new Set(Object.values(filled))];
+  if (versions.length === 0) return '';
+  if (versions.length === 1 && Object.keys(filled).length === LANGUAGES.length) return versions[0];
+  return filled;
+}
+
+// First free numeric id
+export function nextArtworkId(entries) {
+  const numericIds = entries.map(entry => Number(entry.id)).filter(Number.isFinite);
+  return numericIds.length > 0 ? Math.max(...numericIds) + 1 : 1;
+}
+
+// Read a dropped image file, scaled down to MAX_IMAGE_SIZE, as a data URL.
+// PNGs stay PNGs (they may be transparent); everything else becomes JPEG.
+export function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    const objectUrl = URL.createObjectURL(file);
+    const image = new Image();
+    image.onload = () => {
+      URL.revokeObjectURL(objectUrl);
+      const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(image.naturalWidth, image.naturalHeight));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.naturalWidth * scale);
+      canvas.height = Math.round(image.naturalHeight * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      const type = file.type === 'image/png' ? 'image/png' : 'image/jpeg';
+      const baseName = file.name.replace(/\.[^.]+$/, '').replace(/\s+/g, '-');
+      resolve({
+        dataUrl: canvas.toDataURL(type, IMAGE_QUALITY),
+        fileName: `${baseName}.${type === 'image/png' ? 'png' : 'jpg'}`,
+        title: file.name.replace(/\.[^.]+$/, ''),
+      });
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      reject(new Error(`"${file.name}" is not an image the browser can read`));
+    };
+    image.src = objectUrl;
+  });
+}
+
+const download = (url, fileName) => {
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+};
+
+// Download the catalog in the manifest format, followed by the image file of
+// every work added in this browser, named after its catalog path so the
+// curator can copy each one there on the server. The catalog only points at
+// those files, it cannot carry them.
+export function exportCatalog(entries, fileName = 'catalog.json') {
+  const json = `${JSON.stringify(entries.map(toCatalogEntry), null, 2)}\n`;
+  const catalogUrl = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+  download(catalogUrl, fileName);
+  setTimeout(() => URL.revokeObjectURL(catalogUrl), 0);
+
+  entries.filter(hasLocalImage).forEach(entry => download(entry.url, entry.path.split('/').pop()));
+}
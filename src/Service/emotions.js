@@ -0,0 +1,63 @@
+// Emotion vocabulary for the emotional map.
+//
+// Each emotion sits on Russell's circumplex: valence runs from unpleasant (-1)
+// to pleasant (1), arousal from low energy (-1) to high energy (1). Catalog
+// entries can either list emotion names or give valence/arousal directly.
+
+export const EMOTIONS = {
+  joy: { valence: 0.8, arousal: 0.5 },
+  excitement: { valence: 0.6, arousal: 0.8 },
+  wonder: { valence: 0.5, arousal: 0.4 },
+  surprise: { valence: 0.3, arousal: 0.9 },
+  anger: { valence: -0.6, arousal: 0.8 },
+  fear: { valence: -0.7, arousal: 0.6 },
+  sadness: { valence: -0.7, arousal: -0.5 },
+  boredom: { valence: -0.5, arousal: -0.7 },
+  nostalgia: { valence: 0.1, arousal: -0.4 },
+  tenderness: { valence: 0.7, arousal: -0.2 },
+  calm: { valence: 0.6, arousal: -0.6 },
+};
+
+// One region per quadrant of the valence/arousal plane
+export const EMOTION_REGIONS = [
+  { id: 'elated', valence: 1, arousal: 1 },
+  { id: 'tense', valence: -1, arousal: 1 },
+  { id: 'gloomy', valence: -1, arousal: -1 },
+  { id: 'serene', valence: 1, arousal: -1 },
+];
+
+// Colour standing for each region wherever the map marks emotions
+export const REGION_COLORS = {
+  elated: '#ffb347',
+  tense: '#ff5555',
+  gloomy: '#6c7ae0',
+  serene: '#4cc9a6',
+};
+
+export const isKnownEmotion = (name) => Object.prototype.hasOwnProperty.call(EMOTIONS, name);
+
+// Where an artwork sits on the emotion plane: its explicit valence/arousal
+// if it has them, otherwise the average of its tagged emotions, otherwise null.
+export function emotionCoordinates(entry) {
+  if (typeof entry.valence === 'number' && typeof entry.arousal === 'number') {
+    return { valence: entry.valence, arousal: entry.arousal };
+  }
+  const known = (entry.emotions || []).filter(isKnownEmotion);
+  if (known.length === 0) return null;
+
+  const sum = known.reduce((total, name) => ({
+    valence: total.valence + EMOTIONS[name].valence,
+    arousal: total.arousal + EMOTIONS[name].arousal,
+  }), { valence: 0, arousal: 0 });
+  return { valence: sum.valence / known.length, arousal: sum.arousal / known.length };
+}
+
+// The region an artwork falls in, or null when it has no emotional data
+export function emotionRegionOf(entry) {
+  const coordinates = emotionCoordinates(entry);
+  if (!coordinates) return null;
+  return EMOTION_REGIONS.find(region =>
+    Math.sign(coordinates.valence || 1) === region.valence &&
+    Math.sign(coordinates.arousal || 1) === region.arousal
+  );
+}
@@ -0,0 +1,108 @@
+import { useCallback, useSyncExternalStore } from 'react';
+import { TRANSLATIONS } from './translations';
+
+// Language of the interface and of the catalog text.
+//
+// The language comes from a `?lang=` URL parameter, else the visitor's last
+// choice (saved in localStorage), else the browser languages, else English.
+// setLanguage() switches it at runtime; components that read it through
+// useTranslation() re-render, both in the HTML overlays and in the canvas.
+//
+// Catalog text fields may be plain strings, used for every language, or
+// objects keyed by language code ({ "en": "…", "it": "…" }); localize()
+// picks the right one.
+
+export const LANGUAGES = ['en', 'it'];
+export const DEFAULT_LANGUAGE = 'en';
+
+// Each language's own name, for the switcher
+export const LANGUAGE_NAMES = { en: 'English', it: 'Italiano' };
+
+const STORAGE_KEY = 'manifesta.language';
+
+export const isLanguage = (value) => LANGUAGES.includes(value);
+
+const savedLanguage = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null; // Storage can be disabled
+  }
+};
+
+function detectLanguage() {
+  const fromUrl = new URLSearchParams(window.location.search).get('lang');
+  if (fromUrl) {
+    if (isLanguage(fromUrl)) return fromUrl;
+    console.warn(`Unknown language "${fromUrl}", expected one of ${LANGUAGES.join(', ')}`);
+  }
+
+  const saved = savedLanguage();
+  if (isLanguage(saved)) return saved;
+
+  const browserLanguages = navigator.languages || [navigator.language];
+  const match = browserLanguages
+    .filter(Boolean)
+    .map(tag => tag.toLowerCase().split('-')[0])
+    .find(isLanguage);
+  return match || DEFAULT_LANGUAGE;
+}
+
+let currentLanguage = detectLanguage();
+const listeners = new Set();
+document.documentElement.lang = currentLanguage;
+
+export const getLanguage = () => currentLanguage;
+
+// Switch language, remember the choice and re-render every translated component
+export function setLanguage(language) {
+  if (!isLanguage(language)) {
+    console.warn(`Unknown language "${language}", expected one of ${LANGUAGES.join(', ')}`);
+    return;
+  }
+  if (language === currentLanguage) return;
+
+  currentLanguage = language;
+  document.documentElement.lang = language;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, language);
+  } catch {
+    // Not remembered across visits, but the switch itself still works
+  }
+  listeners.forEach(listener => listener());
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// UI string for `key`, with `{name}` placeholders replaced from `params`.
+// Missing keys fall back to English, then to the key itself.
+export function translate(language, key, params = {}) {
+  const table = TRANSLATIONS[language] || {};
+  const text = table[key] ?? TRANSLATIONS[DEFAULT_LANGUAGE][key] ?? key;
+  return text.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// Text of a catalog field in `language`: plain strings are returned as they
+// are, localized objects fall back to English and then to any language given
+export function localize(value, language) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'string') return value;
+  return value[language] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0] ?? '';
+}
+
+// Every language version of a catalog field, e.g. for search
+export function allTranslations(value) {
+  if (value === undefined || value === null) return [];
+  return typeof value === 'string' ? [value] : Object.values(value);
+}
+
+// Current language plus `t` for UI strings and `localize` for catalog fields
+export function useTranslation() {
+  const language = useSyncExternalStore(subscribe, getLanguage);
+  const t = useCallback((key, params) => translate(language, key, params), [language]);
+  const localizeField = useCallback((value) => localize(value, language), [language]);
+  return { language, t, localize: localizeField };
+}
@@ -0,0 +1,140 @@
+import { useEffect, useReducer, useState } from 'react';
+
+// Shared, reference-counted <video> and <audio> elements for time-based
+// artworks (see playbackOf in catalog.js). The plane on the map, the popup
+// and its controls all use the same element for a work, so what the popup
+// plays is what the plane shows.
+//
+// Left to themselves, videos play muted and looping while a plane showing
+// them is on screen, and pause otherwise; sound works stay silent. While
+// playback controls are open for a work, the visitor decides instead.
+
+const RELEASE_DELAY = 10000; // Milliseconds an unused element keeps its loaded data
+
+const elements = new Map(); // url -> { element, kind, refs, onScreen, controlled, releaseTimer }
+
+function createElement(url, kind) {
+  const element = document.createElement(kind);
+  element.crossOrigin = 'anonymous';
+  element.preload = kind === 'video' ? 'auto' : 'metadata';
+  if (kind === 'video') {
+    element.muted = true;
+    element.loop = true;
+    element.playsInline = true;
+  }
+  element.src = url;
+  return element;
+}
+
+function play(element) {
+  element.play().catch(error => {
+    // Interrupted by a pause, or refused by the browser's autoplay rules
+    if (error.name !== 'AbortError') console.warn(`[media] Could not play ${element.src}: ${error.message}`);
+  });
+}
+
+// Apply the automatic rules, unless the visitor is in control
+function updatePlayback(entry) {
+  if (entry.controlled > 0) return;
+  if (entry.kind === 'video' && entry.onScreen > 0) {
+    entry.element.muted = true;
+    if (entry.element.paused) play(entry.element);
+  } else if (!entry.element.paused) {
+    entry.element.pause();
+  }
+}
+
+// Media element for `url`; `kind` is "video" or "audio"
+export function acquireMedia(url, kind) {
+  let entry = elements.get(url);
+  if (!entry) {
+    entry = { element: createElement(url, kind), kind, refs: 0, onScreen: 0, controlled: 0, releaseTimer: null };
+    elements.set(url, entry);
+  }
+  clearTimeout(entry.releaseTimer);
+  entry.refs++;
+  return entry.element;
+}
+
+export function releaseMedia(url) {
+  const entry = elements.get(url);
+  if (!entry) return;
+
+  entry.refs = Math.max(0, entry.refs - 1);
+  if (entry.refs > 0) return;
+
+  entry.element.pause();
+  clearTimeout(entry.releaseTimer);
+  entry.releaseTimer = setTimeout(() => {
+    if (entry.refs > 0 || elements.get(url) !== entry) return;
+    // Dropping the source is what frees the decoder and the buffered data
+    entry.element.removeAttribute('src');
+    entry.element.load();
+    elements.delete(url);
+  }, RELEASE_DELAY);
+}
+
+// A plane showing `url` came into view (true) or left it (false)
+export function setMediaOnScreen(url, onScreen) {
+  const entry = elements.get(url);
+  if (!entry) return;
+  entry.onScreen = Math.max(0, entry.onScreen + (onScreen ? 1 : -1));
+  updatePlayback(entry);
+}
+
+const MEDIA_EVENTS = ['play', 'pause', 'timeupdate', 'durationchange', 'loadedmetadata', 'volumechange', 'ended', 'error'];
+
+// Playback controls for the work at `url`. While mounted the visitor is in
+// control of the element; afterwards the automatic rules apply again, and a
+// sound work stops. Returns null until the element is there.
+export function useMediaPlayback(url, kind) {
+  const [element, setElement] = useState(null);
+  const [, refresh] = useReducer(n => n + 1, 0);
+
+  useEffect(() => {
+    if (!url) return undefined;
+    const media = acquireMedia(url, kind);
+    const entry = elements.get(url);
+    entry.controlled++;
+    MEDIA_EVENTS.forEach(name => media.addEventListener(name, refresh));
+    setElement(media);
+
+    return () => {
+      MEDIA_EVENTS.forEach(name => media.removeEventListener(name, refresh));
+      entry.controlled = Math.max(0, entry.controlled - 1);
+      if (entry.controlled === 0) {
+        if (entry.kind === 'audio') media.pause();
+        updatePlayback(entry);
+      }
+      releaseMedia(url);
+      setElement(null);
+    };
+  }, [url, kind]);
+
+  if (!element) return null;
+  const duration = Number.isFinite(element.duration) ? element.duration : 0;
+  return {
+    element,
+    playing: !element.paused,
+    currentTime: element.currentTime,
+    duration,
+    muted: element.muted,
+    failed: Boolean(element.error),
+    toggle: () => (element.paused ? play(element) : element.pause()),
+    seek: (time) => {
+      if (duration > 0) element.currentTime = Math.min(duration, Math.max(0, time));
+    },
+    toggleMute: () => {
+      element.muted = !element.muted;
+    },
+  };
+}
+
+// "1:05", or "1:02:05" for works longer than an hour
+export function formatMediaTime(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const rest = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+}
@@ -0,0 +1,190 @@
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { useReactions } from './reactions';
+import { cleanSharedReactions, shareableReactions, summarizeReactions } from './reactionSummary';
+
+// Where visitor reactions are shared, so that everyone can see how others
+// felt about a work. A backend is any object with
+//
+//   saveVisitorReactions(visitorId, reactions)  Promise, replaces the set of one visitor
+//   fetchSummaries()                            Promise of per-artwork summaries
+//
+// in the formats described in reactionSummary.js. There are two: an HTTP
+// backend for a shared service (`?reactionsApi=` URL parameter, the
+// `reactionsApi` prop on Experience or VITE_REACTIONS_API at build time), and
+// a localStorage one, used otherwise, which only ever sees this browser.
+// `npm run reactions-server` starts a stand-in for the HTTP service.
+
+const VISITOR_KEY = 'manifesta.visitorId';
+const LOCAL_KEY = 'manifesta.sharedReactions';
+const SYNC_DELAY = 1000; // Milliseconds to wait for more changes before sharing them
+const SUMMARY_MAX_AGE = 30000; // Milliseconds before summaries are fetched again
+
+export function createLocalBackend() {
+  const readVisitors = () => {
+    try {
+      return JSON.parse(window.localStorage.getItem(LOCAL_KEY)) || {};
+    } catch {
+      return {};
+    }
+  };
+
+  return {
+    name: 'local',
+    async saveVisitorReactions(visitorId, reactions) {
+      const visitors = { ...readVisitors(), [visitorId]: reactions };
+      window.localStorage.setItem(LOCAL_KEY, JSON.stringify(visitors));
+    },
+    async fetchSummaries() {
+      const visitors = readVisitors();
+      Object.keys(visitors).forEach(visitorId => {
+        visitors[visitorId] = cleanSharedReactions(visitors[visitorId]) || {};
+      });
+      return summarizeReactions(visitors);
+    },
+  };
+}
+
+export function createHttpBackend(baseUrl) {
+  const root = new URL(baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`, document.baseURI);
+
+  const request = async (path, { method = 'GET', body } = {}) => {
+    const response = await fetch(new URL(path, root).href, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    if (!response.ok) throw new Error(`${method} ${path} failed (HTTP ${response.status})`);
+    return response.status === 204 ? null : response.json();
+  };
+
+  return {
+    name: 'http',
+    saveVisitorReactions: (visitorId, reactions) =>
+      request(`visitors/${encodeURIComponent(visitorId)}/reactions`, { method: 'PUT', body: { reactions } }),
+    fetchSummaries: () => request('summaries'),
+  };
+}
+
+// A `?reactionsApi=` URL parameter wins over the address passed in by the app,
+// which wins over the build-time default; without any, reactions stay local
+export function resolveReactionsApi(preferredUrl) {
+  const fromQuery = new URLSearchParams(window.location.search).get('reactionsApi');
+  return fromQuery || preferredUrl || import.meta.env.VITE_REACTIONS_API || null;
+}
+
+export const createReactionBackend = (apiUrl) => (apiUrl ? createHttpBackend(apiUrl) : createLocalBackend());
+
+// Anonymous id that lets the backend replace this visitor's previous reactions
+function visitorId() {
+  let id = null;
+  try {
+    id = window.localStorage.getItem(VISITOR_KEY);
+  } catch {
+    // Storage can be disabled; the id then only lasts for this visit
+  }
+  if (!id) {
+    id = window.crypto && window.crypto.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    try {
+      window.localStorage.setItem(VISITOR_KEY, id);
+    } catch {
+      // See above
+    }
+  }
+  return id;
+}
+
+// Summaries of the connected backend, shared by every component that shows them
+let backend = null;
+let summaries = {};
+let fetchedAt = 0;
+let loading = null;
+let refreshQueued = false;
+const listeners = new Set();
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getSummaries = () => summaries;
+
+// Fetch the summaries again; a request made while one is running follows it
+export function refreshSummaries() {
+  if (!backend) return Promise.resolve();
+  if (loading) {
+    refreshQueued = true;
+    return loading;
+  }
+  const source = backend;
+  loading = source.fetchSummaries()
+    .then(result => {
+      if (source !== backend) return;
+      summaries = result && typeof result === 'object' ? result : {};
+      listeners.forEach(listener => listener());
+    })
+    .catch(error => {
+      console.error(`[reactions] Could not load the shared reactions: ${error.message}`);
+    })
+    .finally(() => {
+      fetchedAt = Date.now();
+      loading = null;
+      if (refreshQueued) {
+        refreshQueued = false;
+        refreshSummaries();
+      }
+    });
+  return loading;
+}
+
+// Summary of every visitor's reactions to one artwork, or null when nobody
+// has reacted yet. Summaries older than SUMMARY_MAX_AGE are fetched again.
+export function useReactionSummary(artworkId) {
+  const all = useSyncExternalStore(subscribe, getSummaries);
+  useEffect(() => {
+    if (Date.now() - fetchedAt > SUMMARY_MAX_AGE) refreshSummaries();
+  }, [artworkId]);
+  const id = String(artworkId);
+  return Object.hasOwn(all, id) ? all[id] : null;
+}
+
+// Connect to the backend at `apiUrl` (null for the local one) and keep it up
+// to date with this visitor's reactions. Experience calls it once.
+export function useSharedReactions(apiUrl) {
+  const reactions = useReactions();
+  const lastSentRef = useRef({ apiUrl: null, payload: null }); // What this backend last received
+
+  useEffect(() => {
+    backend = createReactionBackend(apiUrl);
+    summaries = {};
+    fetchedAt = 0;
+    listeners.forEach(listener => listener());
+    refreshSummaries();
+  }, [apiUrl]);
+
+  // The whole set is sent each time, so reactions left offline are shared later
+  // too. An empty set is only sent to clear reactions shared in this visit, and
+  // a set the backend already has is not sent again.
+  useEffect(() => {
+    const shared = shareableReactions(reactions);
+    const payload = JSON.stringify(shared);
+    const lastSent = lastSentRef.current.apiUrl === apiUrl ? lastSentRef.current.payload : null;
+    if (payload === lastSent || (lastSent === null && Object.keys(shared).length === 0)) return undefined;
+
+    const timer = setTimeout(() => {
+      if (!backend) return;
+      lastSentRef.current = { apiUrl, payload };
+      backend.saveVisitorReactions(visitorId(), shared)
+        .then(() => {
+          fetchedAt = 0;
+          return refreshSummaries();
+        })
+        .catch(error => {
+          lastSentRef.current = { apiUrl, payload: null }; // Try again with the next change
+          console.error(`[reactions] Could not share the reactions: ${error.message}`);
+        });
+    }, SYNC_DELAY);
+    return () => clearTimeout(timer);
+  }, [apiUrl, reactions]);
+}
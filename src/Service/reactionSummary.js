@@ -0,0 +1,60 @@
+// Shared reactions, as exchanged with a reactions backend (see
+// reactionBackend.js) and the stand-in server in scripts/reactions-server.js.
+//
+// Every visitor shares one set of reactions, keyed by artwork id:
+//
+//   { "2": { "emotion": "joy" }, "5": { "emotion": null } }
+//
+// (a null emotion is a reaction with only a private note; notes themselves
+// are never shared). Backends answer with one summary per artwork:
+//
+//   { "2": { "count": 12, "emotions": { "joy": 5, "wonder": 3 } } }
+//
+// This module has no imports, so that the Node server can use it as is. Ids
+// come from the network, so every map keyed by them has no prototype: an id
+// such as "toString" must not find Object.prototype members.
+
+export const MAX_SHARED_ARTWORKS = 5000;
+const MAX_ID_LENGTH = 200;
+const MAX_EMOTION_LENGTH = 40;
+
+// Artwork ids in their string form, as catalog ids are compared everywhere:
+// not blank (see isValidId in catalog.js) and of a sensible length
+export const isSharedArtworkId = (id) =>
+  typeof id === 'string' && id.trim() !== '' && id.length <= MAX_ID_LENGTH;
+
+// One visitor's reactions in the shared format, from the full local ones
+export function shareableReactions(reactions) {
+  return Object.fromEntries(Object.entries(reactions).map(([id, reaction]) => [id, { emotion: reaction.emotion || null }]));
+}
+
+// A visitor's set as received from the network, cleaned up, or null when it
+// is not a set of reactions at all
+export function cleanSharedReactions(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+  const entries = Object.entries(raw);
+  if (entries.length > MAX_SHARED_ARTWORKS) return null;
+
+  const cleaned = Object.create(null);
+  entries.forEach(([id, reaction]) => {
+    if (!isSharedArtworkId(id) || !reaction || typeof reaction !== 'object') return;
+    const { emotion } = reaction;
+    const validEmotion = typeof emotion === 'string' && emotion.length > 0 && emotion.length <= MAX_EMOTION_LENGTH;
+    cleaned[id] = { emotion: validEmotion ? emotion : null };
+  });
+  return cleaned;
+}
+
+// Per-artwork summaries from every visitor's set, keyed by visitor id
+export function summarizeReactions(visitors) {
+  const summaries = Object.create(null);
+  Object.values(visitors).forEach(reactions => {
+    Object.entries(reactions).forEach(([id, { emotion }]) => {
+      if (!Object.hasOwn(summaries, id)) summaries[id] = { count: 0, emotions: Object.create(null) };
+      const summary = summaries[id];
+      summary.count += 1;
+      if (emotion) summary.emotions[emotion] = (Object.hasOwn(summary.emotions, emotion) ? summary.emotions[emotion] : 0) + 1;
+    });
+  });
+  return summaries;
+}
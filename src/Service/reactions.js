@@ -0,0 +1,142 @@
+import { useSyncExternalStore } from 'react';
+import { isKnownEmotion } from './emotions';
+
+// Visitor reactions: for any artwork, the emotion it stirred (a name from the
+// vocabulary in emotions.js) and a short personal note.
+//
+// Reactions belong to the visitor, not to the catalog: they are kept in this
+// browser's localStorage, keyed by artwork id, and can be exported to a JSON
+// file and imported again elsewhere. Components read them through
+// useReactions() and re-render whenever one changes.
+
+const STORAGE_KEY = 'manifesta.reactions';
+const EXPORT_FORMAT = 'manifesta-reactions';
+const EXPORT_VERSION = 1;
+export const MAX_NOTE_LENGTH = 500;
+
+const readStorage = () => {
+  try {
+    return window.localStorage.getItem(STORAGE_KEY);
+  } catch {
+    return null; // Storage can be disabled
+  }
+};
+
+// A stored or imported reaction, normalized, or null when it is not usable
+function normalizeReaction(value) {
+  if (!value || typeof value !== 'object') return null;
+  const emotion = isKnownEmotion(value.emotion) ? value.emotion : null;
+  const note = typeof value.note === 'string' ? value.note.slice(0, MAX_NOTE_LENGTH) : '';
+  if (!emotion && note.trim() === '') return null;
+  const updatedAt = typeof value.updatedAt === 'string' && !Number.isNaN(Date.parse(value.updatedAt))
+    ? value.updatedAt
+    : new Date(0).toISOString();
+  return { emotion, note, updatedAt };
+}
+
+function loadReactions() {
+  let saved;
+  try {
+    saved = JSON.parse(readStorage());
+  } catch {
+    console.error('[reactions] The saved reactions are not valid JSON, starting afresh');
+    return {};
+  }
+  if (!saved || typeof saved !== 'object') return {};
+
+  const reactions = {};
+  Object.entries(saved).forEach(([id, value]) => {
+    const reaction = normalizeReaction(value);
+    if (reaction) reactions[id] = reaction;
+  });
+  return reactions;
+}
+
+let reactions = loadReactions();
+const listeners = new Set();
+
+function commit(next) {
+  reactions = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(reactions));
+  } catch (error) {
+    // Kept for this visit only; exporting still saves them
+    console.error(`[reactions] Could not save to localStorage: ${error.message}`);
+  }
+  listeners.forEach(listener => listener());
+}
+
+const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const getReactions = () => reactions;
+
+// Every reaction, keyed by the string form of the artwork id
+export const useReactions = () => useSyncExternalStore(subscribe, getReactions);
+
+export const reactionFor = (all, artworkId) => all[String(artworkId)] || null;
+
+// Save the visitor's emotion and note for an artwork; clearing both forgets it
+export function setReaction(artworkId, { emotion, note }) {
+  const id = String(artworkId);
+  const reaction = normalizeReaction({ emotion, note, updatedAt: new Date().toISOString() });
+  const next = { ...reactions };
+  if (reaction) {
+    next[id] = reaction;
+  } else if (id in next) {
+    delete next[id];
+  } else {
+    return;
+  }
+  commit(next);
+}
+
+// Download every reaction as a JSON file
+export function exportReactions(fileName = 'my-reactions.json') {
+  const data = {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    reactions,
+  };
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([`${JSON.stringify(data, null, 2)}\n`], { type: 'application/json' }));
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// Merge reactions from an exported file's text. For artworks with a reaction
+// on both sides the more recent one wins. Resolves with the number of
+// reactions taken over; rejects when the file is not an export.
+export async function importReactions(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!data || data.format !== EXPORT_FORMAT || !data.reactions || typeof data.reactions !== 'object') {
+    throw new Error('The file is not an export of reactions');
+  }
+
+  const next = { ...reactions };
+  let imported = 0;
+  Object.entries(data.reactions).forEach(([id, value]) => {
+    const reaction = normalizeReaction(value);
+    if (!reaction) {
+      console.warn(`[reactions] Skipped the unusable reaction for artwork ${id}`);
+      return;
+    }
+    const current = next[id];
+    if (!current || Date.parse(reaction.updatedAt) > Date.parse(current.updatedAt)) {
+      next[id] = reaction;
+      imported += 1;
+    }
+  });
+
+  if (imported > 0) commit(next);
+  return imported;
+}
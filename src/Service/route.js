@@ -0,0 +1,61 @@
+// Deep links: the URL hash mirrors the open artwork and the camera view.
+//
+//   #/work/3                   popup open on the artwork with id 3
+//   #/work/3?view=1.5,-2,8     ...with the camera looking at (1.5, -2) from 8 units away
+//   #/?view=0,0,10             no popup, camera view only
+//
+// Opening, switching or closing a popup pushes a history entry, so browser
+// back/forward moves through the popups the visitor has opened. Camera moves
+// only replace the current entry.
+
+const WORK_PATH = /^\/work\/([^/]+)$/;
+
+export function parseRoute(hash) {
+  const [path, query = ''] = hash.replace(/^#/, '').split('?');
+
+  const match = path.match(WORK_PATH);
+  let workId = null;
+  if (match) {
+    try {
+      workId = decodeURIComponent(match[1]);
+    } catch {
+      console.warn(`[route] Ignoring malformed artwork id "${match[1]}" in the link`);
+    }
+  }
+
+  let view = null;
+  const viewParam = new URLSearchParams(query).get('view');
+  if (viewParam) {
+    const [x, y, distance] = viewParam.split(',').map(Number);
+    if ([x, y, distance].every(Number.isFinite) && distance > 0) {
+      view = { x, y, distance };
+    }
+  }
+
+  return { workId, view };
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+export function formatRoute({ workId, view }) {
+  const path = workId === null ? '/' : `/work/${encodeURIComponent(workId)}`;
+  const query = view ? `?view=${round(view.x)},${round(view.y)},${round(view.distance)}` : '';
+  return `#${path}${query}`;
+}
+
+// Index of the artwork a route points at, or -1. Ids in the hash are strings,
+// so they are compared against the string form of catalog ids.
+export function findWorkIndex(entries, workId) {
+  if (workId === null) return -1;
+  return entries.findIndex(entry => String(entry.id) === workId);
+}
+
+export const currentRoute = () => parseRoute(window.location.hash);
+
+export function pushRoute(route) {
+  window.history.pushState(null, '', formatRoute(route));
+}
+
+export function replaceRoute(route) {
+  window.history.replaceState(null, '', formatRoute(route));
+}
@@ -0,0 +1,42 @@
+import { allTranslations } from './i18n';
+
+// Text and tag search over the artwork catalog.
+
+// Lower-case and strip accents, so "perche" finds "perché"
+const normalize = (text) =>
+  text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+// Every language version of the text is searched, so a visitor finds a work
+// by the words they know whatever language the interface is in
+const searchableText = (entry) => normalize([
+  ...allTranslations(entry.title),
+  ...allTranslations(entry.description),
+  ...allTranslations(entry.details),
+  entry.author,
+  ...entry.tags,
+].filter(Boolean).join(' '));
+
+// Every word of the query has to appear somewhere in the artwork's text
+export function matchesQuery(entry, query) {
+  const terms = normalize(query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+  const text = searchableText(entry);
+  return terms.every(term => text.includes(term));
+}
+
+// An artwork matches the tag filter when it has any of the selected tags
+export function matchesTags(entry, tags) {
+  return tags.length === 0 || tags.some(tag => entry.tags.includes(tag));
+}
+
+export const isFilterActive = (filter) =>
+  filter.query.trim() !== '' || filter.tags.length > 0;
+
+export function filterCatalog(entries, filter) {
+  return entries.filter(entry => matchesQuery(entry, filter.query) && matchesTags(entry, filter.tags));
+}
+
+// All tags used in the catalog, sorted alphabetically
+export function catalogTags(entries) {
+  return [...new Set(entries.flatMap(entry => entry.tags))].sort();
+}
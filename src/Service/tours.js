@@ -0,0 +1,158 @@
+import { isLocalizedText, optionalText } from './catalog';
+
+// Guided tours: curated walks through the catalog, each a named, ordered list
+// of artworks with a caption per stop.
+//
+// Tours live in a JSON file next to the catalog manifest (tours.json beside
+// catalog.json by default) so that they can be edited without rebuilding the
+// app. The file holds an array of tours:
+//
+//   id           string           required, unique across the file
+//   title        text             required, shown in the tour menu and player
+//   description  text             optional, one line about the tour
+//   stops        stop[]           required, at least one
+//
+// and every stop:
+//
+//   artwork      number | string  required, id of a catalog entry
+//   caption      text             optional, narration shown while the stop is open
+//   dwell        number           optional, seconds before autoplay moves on (default DEFAULT_DWELL)
+//
+// "text" fields follow the catalog: a string, or one string per language code.
+// Like the catalog, the file is validated leniently: broken stops and tours
+// are reported on the console and skipped, and a missing file means no tours.
+
+export const TOURS_FILE = 'tours.json';
+export const DEFAULT_DWELL = 12;
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim() !== '';
+
+const isText = (value) => isNonEmptyString(value) || isLocalizedText(value);
+
+// Validate and normalize raw tour data against the parsed catalog `entries`.
+// Stops must point at artworks in the catalog. Returns the usable tours plus
+// a list of human-readable problems; it never throws on bad data.
+export function parseTours(raw, entries, source = TOURS_FILE) {
+  const problems = [];
+  const tours = [];
+
+  if (!Array.isArray(raw)) {
+    problems.push(`${source}: expected an array of tours, got ${typeof raw}`);
+    return { tours, problems };
+  }
+
+  const artworkIds = new Set(entries.map(entry => String(entry.id)));
+  const seenIds = new Set();
+
+  raw.forEach((tour, index) => {
+    const label = `${source}[${index}]`;
+
+    if (!tour || typeof tour !== 'object') {
+      problems.push(`${label}: tour is not an object, skipped`);
+      return;
+    }
+    if (!isNonEmptyString(tour.id)) {
+      problems.push(`${label}: missing or invalid "id", skipped`);
+      return;
+    }
+    if (seenIds.has(tour.id)) {
+      problems.push(`${label}: duplicate id "${tour.id}", skipped`);
+      return;
+    }
+    if (!isText(tour.title)) {
+      problems.push(`${label} (${tour.id}): missing "title", skipped`);
+      return;
+    }
+    if (!Array.isArray(tour.stops)) {
+      problems.push(`${label} (${tour.id}): "stops" must be an array, skipped`);
+      return;
+    }
+
+    const stops = [];
+    tour.stops.forEach((stop, stopIndex) => {
+      const stopLabel = `${label} (${tour.id}) stop ${stopIndex + 1}`;
+      if (!stop || typeof stop !== 'object') {
+        problems.push(`${stopLabel}: stop is not an object, skipped`);
+        return;
+      }
+      if (!artworkIds.has(String(stop.artwork))) {
+        problems.push(`${stopLabel}: no artwork with id ${JSON.stringify(stop.artwork)} in the catalog, skipped`);
+        return;
+      }
+
+      let dwell = DEFAULT_DWELL;
+      if (stop.dwell !== undefined && stop.dwell !== null) {
+        if (typeof stop.dwell === 'number' && Number.isFinite(stop.dwell) && stop.dwell > 0) {
+          dwell = stop.dwell;
+        } else {
+          problems.push(`${stopLabel}: "dwell" must be a number of seconds greater than 0`);
+        }
+      }
+
+      stops.push({
+        artwork: String(stop.artwork),
+        caption: optionalText(stop, 'caption', stopLabel, problems),
+        dwell,
+      });
+    });
+
+    if (stops.length === 0) {
+      problems.push(`${label} (${tour.id}): no usable stops, skipped`);
+      return;
+    }
+
+    seenIds.add(tour.id);
+    tours.push({
+      id: tour.id,
+      title: typeof tour.title === 'string' ? tour.title : { ...tour.title },
+      description: optionalText(tour, 'description', `${label} (${tour.id})`, problems),
+      stops,
+    });
+  });
+
+  return { tours, problems };
+}
+
+export function reportTourProblems(problems) {
+  problems.forEach(problem => console.error(`[tours] ${problem}`));
+}
+
+// Pick the tours file: a `?tours=` URL parameter wins over the source passed
+// in by the app, which wins over tours.json next to the catalog manifest.
+export function resolveToursUrl(preferredUrl, catalogUrl) {
+  const fromQuery = new URLSearchParams(window.location.search).get('tours');
+  if (fromQuery || preferredUrl) return fromQuery || preferredUrl;
+  return new URL(TOURS_FILE, new URL(catalogUrl, document.baseURI)).href;
+}
+
+// Fetch and validate the tours for the catalog `entries`. Tours are optional,
+// so a missing file resolves to no tours; a broken one is reported first.
+export async function loadTours(url, entries, { signal } = {}) {
+  let response;
+  try {
+    response = await fetch(new URL(url, document.baseURI).href, { signal, cache: 'no-cache' });
+  } catch (error) {
+    if (signal && signal.aborted) throw error;
+    console.error(`[tours] Could not load the tours from ${url}: ${error.message}`);
+    return [];
+  }
+  // Dev servers answer missing files with the app's index page, not a 404
+  const isJson = (response.headers.get('content-type') || '').includes('json');
+  if (response.status === 404 || (response.ok && !isJson)) return [];
+  if (!response.ok) {
+    console.error(`[tours] Could not load the tours from ${url} (HTTP ${response.status})`);
+    return [];
+  }
+
+  let raw;
+  try {
+    raw = await response.json();
+  } catch {
+    console.error(`[tours] The tours at ${url} are not valid JSON`);
+    return [];
+  }
+
+  const { tours, problems } = parseTours(raw, entries, url);
+  reportTourProblems(problems);
+  return tours;
+}
@@ -0,0 +1,269 @@
+// UI strings, one table per language. Keys are shared by every language;
+// `{name}` placeholders are filled in by translate() in i18n.js. A key missing
+// from a language falls back to English.
+
+export const TRANSLATIONS = {
+  en: {
+    'intro.title': 'Explore Manifesta',
+    'intro.mouseHint': 'Click & drag to navigate',
+    'intro.touchHint': 'Drag to move, pinch to zoom',
+    'intro.swipeHint': 'Swipe left or right to browse an open work',
+    'intro.clickToBegin': 'Click anywhere to begin',
+    'intro.tapToBegin': 'Tap anywhere to begin',
+
+    'language.label': 'Language',
+
+    'catalog.loading': 'Loading artworks…',
+    'catalog.error': 'The artworks could not be loaded.',
+    'catalog.retry': 'Try again',
+
+    'artwork.untitled': 'Untitled',
+    'artwork.untitledArtwork': 'Untitled artwork',
+    'artwork.noDescription': 'No description available.',
+    'artwork.noDetails': 'No additional details available',
+    'artwork.previous': '< Previous',
+    'artwork.next': 'Next >',
+    'artwork.previousLabel': 'Previous artwork',
+    'artwork.nextLabel': 'Next artwork',
+    'artwork.closeLabel': 'Close artwork',
+    'artwork.list': 'Artworks',
+    'artwork.keyboardHint': 'Use the left and right arrow keys to move between works, Escape to close.',
+    'artwork.opened': 'Artwork {index} of {count}: {title}',
+    'artwork.closed': 'Artwork closed',
+
+    'lightbox.open': 'Fullscreen',
+    'lightbox.openLabel': 'View the artwork fullscreen',
+    'lightbox.play': 'Slideshow',
+    'lightbox.pause': 'Pause slideshow',
+    'lightbox.closeLabel': 'Close fullscreen view',
+    'lightbox.hint': 'Scroll or pinch to zoom, drag to move around, double-click for a close-up',
+
+    'image.unavailable': 'Image unavailable',
+    'image.unavailableLabel': 'Image unavailable: {title}',
+    'image.retry': 'Retry',
+
+    'media.play': 'Play',
+    'media.pause': 'Pause',
+    'media.mute': 'Mute',
+    'media.unmute': 'Unmute',
+    'media.seek': 'Playback position',
+    'media.audio': 'Sound work',
+
+    'inspect.label': 'Open works in',
+    'inspect.popup': 'Full view',
+    'inspect.info': 'Info card',
+
+    'tour.menu': 'Tours',
+    'tour.menuLabel': 'Guided tours',
+    'tour.label': 'Guided tour: {title}',
+    'tour.stopsOne': '1 stop',
+    'tour.stopsOther': '{count} stops',
+    'tour.progress': 'Stop {index} of {count}',
+    'tour.previous': 'Back',
+    'tour.pause': 'Pause',
+    'tour.play': 'Play',
+    'tour.skip': 'Skip',
+    'tour.finish': 'Finish',
+    'tour.exit': 'Exit tour',
+
+    'search.placeholder': 'Search works…',
+    'search.label': 'Search works by title, description or tag',
+    'search.hideOthers': 'Hide other works',
+    'search.countOne': '1 work',
+    'search.countOther': '{count} works',
+
+    'emotion.unpleasant': 'Unpleasant',
+    'emotion.pleasant': 'Pleasant',
+    'emotion.highEnergy': 'High energy',
+    'emotion.lowEnergy': 'Low energy',
+    'emotion.region.elated': 'Elated',
+    'emotion.region.tense': 'Tense',
+    'emotion.region.gloomy': 'Gloomy',
+    'emotion.region.serene': 'Serene',
+    'emotion.name.joy': 'Joy',
+    'emotion.name.excitement': 'Excitement',
+    'emotion.name.wonder': 'Wonder',
+    'emotion.name.surprise': 'Surprise',
+    'emotion.name.anger': 'Anger',
+    'emotion.name.fear': 'Fear',
+    'emotion.name.sadness': 'Sadness',
+    'emotion.name.boredom': 'Boredom',
+    'emotion.name.nostalgia': 'Nostalgia',
+    'emotion.name.tenderness': 'Tenderness',
+    'emotion.name.calm': 'Calm',
+
+    'reactions.title': 'Your reaction',
+    'reactions.emotionLabel': 'How does this work make you feel?',
+    'reactions.noteLabel': 'Your note about this work',
+    'reactions.notePlaceholder': 'A note for yourself…',
+    'reactions.savedLocally': 'Only saved in this browser.',
+    'reactions.countOne': 'You reacted to 1 work',
+    'reactions.countOther': 'You reacted to {count} works',
+    'reactions.export': 'Export',
+    'reactions.import': 'Import',
+    'reactions.imported': 'Imported {count} reactions.',
+    'reactions.importFailed': 'This file does not contain exported reactions.',
+    'reactions.sharedOne': '1 visitor reacted to this work',
+    'reactions.sharedOther': '{count} visitors reacted to this work',
+    'minimap.label': 'Overview of the map',
+    'minimap.hint': 'Click or drag to move around the map',
+
+    'ambient.label': 'Ambient sound',
+    'ambient.mute': 'Mute',
+    'ambient.volume': 'Ambient sound volume',
+
+    'editor.title': 'Curator mode',
+    'editor.hint': 'Drag works to move them and click one to edit it. Drop image files anywhere to add them. Changes stay in this browser until you export the catalog.',
+    'editor.noSelection': 'Click a work on the map to edit it.',
+    'editor.textLanguage': 'Text language',
+    'editor.fieldTitle': 'Title',
+    'editor.fieldDescription': 'Description',
+    'editor.fieldDetails': 'Details',
+    'editor.fieldX': 'X',
+    'editor.fieldY': 'Y',
+    'editor.fieldScale': 'Scale',
+    'editor.downloadImage': 'Download image file',
+    'editor.localImageHint': 'Added in this browser: put the image file at {path} on the server.',
+    'editor.delete': 'Remove work',
+    'editor.confirmDelete': 'Remove "{title}" from the catalog?',
+    'editor.export': 'Export catalog JSON',
+    'editor.exportImagesOne': 'Exporting also downloads the image file added in this browser. Put it on the server at {path}.',
+    'editor.exportImagesOther': 'Exporting also downloads the {count} image files added in this browser. Put them on the server at: {paths}.',
+    'editor.reset': 'Discard changes',
+    'editor.confirmReset': 'Discard every change that has not been exported?',
+    'editor.dropHere': 'Drop images to add them to the map',
+    'editor.storageFull': 'The browser storage is full: the latest changes are not saved. Export the catalog to keep them.',
+  },
+
+  it: {
+    'intro.title': 'Esplora Manifesta',
+    'intro.mouseHint': 'Clicca e trascina per navigare',
+    'intro.touchHint': 'Trascina per muoverti, pizzica per ingrandire',
+    'intro.swipeHint': "Scorri a sinistra o a destra per sfogliare un'opera aperta",
+    'intro.clickToBegin': 'Clicca ovunque per iniziare',
+    'intro.tapToBegin': 'Tocca ovunque per iniziare',
+
+    'language.label': 'Lingua',
+
+    'catalog.loading': 'Caricamento delle opere…',
+    'catalog.error': 'Non è stato possibile caricare le opere.',
+    'catalog.retry': 'Riprova',
+
+    'artwork.untitled': 'Senza titolo',
+    'artwork.untitledArtwork': 'Opera senza titolo',
+    'artwork.noDescription': 'Nessuna descrizione disponibile.',
+    'artwork.noDetails': 'Nessun dettaglio aggiuntivo disponibile',
+    'artwork.previous': '< Precedente',
+    'artwork.next': 'Successiva >',
+    'artwork.previousLabel': 'Opera precedente',
+    'artwork.nextLabel': 'Opera successiva',
+    'artwork.closeLabel': 'Chiudi opera',
+    'artwork.list': 'Opere',
+    'artwork.keyboardHint': "Usa le frecce sinistra e destra per passare da un'opera all'altra, Esc per chiudere.",
+    'artwork.opened': 'Opera {index} di {count}: {title}',
+    'artwork.closed': 'Opera chiusa',
+
+    'lightbox.open': 'Schermo intero',
+    'lightbox.openLabel': "Guarda l'opera a schermo intero",
+    'lightbox.play': 'Presentazione',
+    'lightbox.pause': 'Metti in pausa la presentazione',
+    'lightbox.closeLabel': 'Chiudi la vista a schermo intero',
+    'lightbox.hint': 'Scorri o pizzica per ingrandire, trascina per spostarti, doppio clic per un dettaglio',
+
+    'image.unavailable': 'Immagine non disponibile',
+    'image.unavailableLabel': 'Immagine non disponibile: {title}',
+    'image.retry': 'Riprova',
+
+    'media.play': 'Riproduci',
+    'media.pause': 'Pausa',
+    'media.mute': 'Disattiva audio',
+    'media.unmute': 'Attiva audio',
+    'media.seek': 'Posizione di riproduzione',
+    'media.audio': 'Opera sonora',
+
+    'inspect.label': 'Apri le opere in',
+    'inspect.popup': 'Vista completa',
+    'inspect.info': 'Scheda',
+
+    'tour.menu': 'Percorsi',
+    'tour.menuLabel': 'Percorsi guidati',
+    'tour.label': 'Percorso guidato: {title}',
+    'tour.stopsOne': '1 tappa',
+    'tour.stopsOther': '{count} tappe',
+    'tour.progress': 'Tappa {index} di {count}',
+    'tour.previous': 'Indietro',
+    'tour.pause': 'Pausa',
+    'tour.play': 'Riprendi',
+    'tour.skip': 'Salta',
+    'tour.finish': 'Fine',
+    'tour.exit': 'Esci dal percorso',
+
+    'search.placeholder': 'Cerca opere…',
+    'search.label': 'Cerca opere per titolo, descrizione o tag',
+    'search.hideOthers': 'Nascondi le altre opere',
+    'search.countOne': '1 opera',
+    'search.countOther': '{count} opere',
+
+    'emotion.unpleasant': 'Spiacevole',
+    'emotion.pleasant': 'Piacevole',
+    'emotion.highEnergy': 'Alta energia',
+    'emotion.lowEnergy': 'Bassa energia',
+    'emotion.region.elated': 'Euforico',
+    'emotion.region.tense': 'Teso',
+    'emotion.region.gloomy': 'Cupo',
+    'emotion.region.serene': 'Sereno',
+    'emotion.name.joy': 'Gioia',
+    'emotion.name.excitement': 'Entusiasmo',
+    'emotion.name.wonder': 'Meraviglia',
+    'emotion.name.surprise': 'Sorpresa',
+    'emotion.name.anger': 'Rabbia',
+    'emotion.name.fear': 'Paura',
+    'emotion.name.sadness': 'Tristezza',
+    'emotion.name.boredom': 'Noia',
+    'emotion.name.nostalgia': 'Nostalgia',
+    'emotion.name.tenderness': 'Tenerezza',
+    'emotion.name.calm': 'Calma',
+
+    'reactions.title': 'La tua reazione',
+    'reactions.emotionLabel': 'Che cosa ti fa provare questa opera?',
+    'reactions.noteLabel': 'La tua nota su questa opera',
+    'reactions.notePlaceholder': 'Una nota per te…',
+    'reactions.savedLocally': 'Salvata solo in questo browser.',
+    'reactions.countOne': 'Hai reagito a 1 opera',
+    'reactions.countOther': 'Hai reagito a {count} opere',
+    'reactions.export': 'Esporta',
+    'reactions.import': 'Importa',
+    'reactions.imported': 'Reazioni importate: {count}.',
+    'reactions.importFailed': 'Questo file non contiene reazioni esportate.',
+    'reactions.sharedOne': '1 visitatore ha reagito a questa opera',
+    'reactions.sharedOther': '{count} visitatori hanno reagito a questa opera',
+    'minimap.label': 'Panoramica della mappa',
+    'minimap.hint': 'Clicca o trascina per spostarti sulla mappa',
+
+    'ambient.label': 'Suono ambientale',
+    'ambient.mute': 'Muto',
+    'ambient.volume': 'Volume del suono ambientale',
+
+    'editor.title': 'Modalità curatore',
+    'editor.hint': "Trascina le opere per spostarle e cliccane una per modificarla. Trascina file di immagine sulla pagina per aggiungerli. Le modifiche restano in questo browser finché non esporti il catalogo.",
+    'editor.noSelection': "Clicca un'opera sulla mappa per modificarla.",
+    'editor.textLanguage': 'Lingua dei testi',
+    'editor.fieldTitle': 'Titolo',
+    'editor.fieldDescription': 'Descrizione',
+    'editor.fieldDetails': 'Dettagli',
+    'editor.fieldX': 'X',
+    'editor.fieldY': 'Y',
+    'editor.fieldScale': 'Scala',
+    'editor.downloadImage': "Scarica il file dell'immagine",
+    'editor.localImageHint': "Aggiunta in questo browser: metti il file dell'immagine in {path} sul server.",
+    'editor.delete': 'Rimuovi opera',
+    'editor.confirmDelete': 'Rimuovere "{title}" dal catalogo?',
+    'editor.export': 'Esporta il catalogo JSON',
+    'editor.exportImagesOne': "L'esportazione scarica anche il file di immagine aggiunto in questo browser. Mettilo sul server in {path}.",
+    'editor.exportImagesOther': "L'esportazione scarica anche i {count} file di immagine aggiunti in questo browser. Mettili sul server in: {paths}.",
+    'editor.reset': 'Annulla le modifiche',
+    'editor.confirmReset': 'Annullare tutte le modifiche non esportate?',
+    'editor.dropHere': 'Rilascia le immagini per aggiungerle alla mappa',
+    'editor.storageFull': 'La memoria del browser è piena: le ultime modifiche non sono salvate. Esporta il catalogo per conservarle.',
+  },
+};
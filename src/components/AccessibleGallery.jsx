@@ -0,0 +1,66 @@
+import { useTranslation } from '../Service/i18n';
+import '../styles/AccessibleGallery.css';
+
+// Visually hidden DOM mirror of the 3D gallery for keyboard and screen-reader
+// users. Every artwork is a button in the Tab order: focusing one highlights
+// its plane (onFocusArtwork), Enter opens it (onOpen). While an artwork is
+// open, a dialog mirrors FixedImagePopup with labelled Previous/Next/Close
+// buttons, and changes are announced through a live region. `dialog` comes
+// from useArtworkDialog; with `detailPanel` the visible ArtworkDetailPanel is
+// the dialog instead, and this one is left out.
+const AccessibleGallery = ({ entries, openIndex, dialog, detailPanel = false, onFocusArtwork, onOpen, onClose, onNext, onPrevious }) => {
+  const { dialogProps, closeButtonRef, itemRefs, restoringFocusRef, announcement } = dialog;
+  const { t, localize } = useTranslation();
+  const titleOf = (entry) => localize(entry.title) || t('artwork.untitled');
+
+  const openImage = openIndex !== null ? entries[openIndex] : null;
+
+  // Clear the highlight once focus leaves the list altogether
+  const handleItemBlur = (event) => {
+    if (!event.currentTarget.closest('ul').contains(event.relatedTarget)) {
+      onFocusArtwork(null);
+    }
+  };
+
+  return (
+    <div className="visually-hidden">
+      <nav aria-label={t('artwork.list')} inert={openImage ? true : undefined}>
+        <ul>
+          {entries.map((entry, index) => (
+            <li key={entry.id}>
+              <button
+                ref={(element) => { itemRefs.current[index] = element; }}
+                onFocus={() => onFocusArtwork(index, { bringIntoView: !restoringFocusRef.current })}
+                onBlur={handleItemBlur}
+                onClick={() => onOpen(index)}
+                aria-label={`${titleOf(entry)}${entry.description ? `. ${localize(entry.description)}` : ''}`}
+              >
+                {titleOf(entry)}
+              </button>
+            </li>
+          ))}
+        </ul>
+      </nav>
+
+      {openImage && !detailPanel && (
+        <div {...dialogProps}>
+          <h2 id="artwork-dialog-title">{titleOf(openImage)}</h2>
+          <p id="artwork-dialog-description">{localize(openImage.description) || t('artwork.noDescription')}</p>
+          {openImage.details && <p>{localize(openImage.details)}</p>}
+          <p>{t('artwork.keyboardHint')}</p>
+          <button onClick={onPrevious} aria-label={t('artwork.previousLabel')}>{t('artwork.previous')}</button>
+          <button onClick={onNext} aria-label={t('artwork.nextLabel')}>{t('artwork.next')}</button>
+          <button ref={closeButtonRef} onClick={onClose} aria-label={t('artwork.closeLabel')}>X</button>
+        </div>
+      )}
+
+      <div role="status" aria-live="polite">
+        {announcement && (announcement.closed
+          ? t('artwork.closed')
+          : t('artwork.opened', { index: announcement.index + 1, count: entries.length, title: titleOf(announcement.image) }))}
+      </div>
+    </div>
+  );
+};
+
+export default AccessibleGallery;
@@ -0,0 +1,46 @@
+import { useMemo } from 'react';
+import { setAmbientMuted, setAmbientVolume, useAmbientAudio, useAmbientSettings } from '../Service/ambientAudio';
+import { useTranslation } from '../Service/i18n';
+import '../styles/AmbientAudio.css';
+
+// Ambient sound of the map (see Service/ambientAudio.js), with its mute button
+// and volume slider. Renders nothing for catalogs without ambient clips.
+// `viewRef` holds the live camera view written by the scene, as for the minimap.
+const AmbientAudio = ({ entries, positions, viewRef }) => {
+  const { t } = useTranslation();
+  const { volume, muted } = useAmbientSettings();
+
+  const clips = useMemo(() => entries
+    .map((entry, index) => entry.ambientUrl && positions[index]
+      ? { id: entry.id, url: entry.ambientUrl, x: positions[index][0], y: positions[index][1] }
+      : null)
+    .filter(Boolean), [entries, positions]);
+
+  useAmbientAudio(clips, viewRef);
+
+  if (clips.length === 0) return null;
+
+  return (
+    <div className="ambient-controls" role="group" aria-label={t('ambient.label')}>
+      <button
+        className={`ambient-mute ${muted ? 'selected' : ''}`}
+        aria-pressed={muted}
+        onClick={() => setAmbientMuted(!muted)}
+      >
+        {t('ambient.mute')}
+      </button>
+      <input
+        className="ambient-volume"
+        type="range"
+        min={0}
+        max={1}
+        step={0.05}
+        value={muted ? 0 : volume}
+        onChange={(e) => setAmbientVolume(Number(e.target.value))}
+        aria-label={t('ambient.volume')}
+      />
+    </div>
+  );
+};
+
+export default AmbientAudio;
@@ -0,0 +1,145 @@
+import { useRef, useState } from 'react';
+import { swipeDirection } from '../Service/device';
+import { useTranslation } from '../Service/i18n';
+import { hasPlaybackControls, isPicture, playbackOf, stillImageUrl } from '../Service/catalog';
+import ReactionForm from './ReactionForm';
+import MediaPlayer from './MediaPlayer';
+import '../styles/ArtworkDetailPanel.css';
+
+// "2024" stays as is, "2024-06" becomes "June 2024", full dates are written out
+// in the interface language
+const formatDate = (date, language) => {
+  if (/^\d{4}$/.test(date)) return date;
+  const parsed = new Date(date);
+  if (Number.isNaN(parsed.getTime())) return date;
+  const options = /^\d{4}-\d{2}$/.test(date)
+    ? { year: 'numeric', month: 'long' }
+    : { year: 'numeric', month: 'long', day: 'numeric' };
+  return parsed.toLocaleDateString(language, options);
+};
+
+// HTML detail card for the open artwork: selectable text, a scrollable long
+// description, links and credits. It is the artwork dialog while shown, so it
+// takes the attributes and focus handlers of useArtworkDialog in `dialogProps`.
+const ArtworkDetailPanel = ({ image, dialogProps, closeButtonRef, onClose, onNext, onPrevious, onOpenLightbox }) => {
+  const swipeStartRef = useRef(null);
+  const { language, t, localize } = useTranslation();
+  const title = localize(image.title) || t('artwork.untitled');
+  // Image that failed to load, and a counter that remounts the <img> to retry it
+  const [failedUrl, setFailedUrl] = useState(null);
+  const [attempt, setAttempt] = useState(0);
+  const meta = [image.author, image.date && formatDate(image.date, language)].filter(Boolean).join(' · ');
+  const playback = playbackOf(image);
+  const still = stillImageUrl(image);
+
+  const handlePointerDown = (event) => {
+    if (event.pointerType === 'touch') swipeStartRef.current = { x: event.clientX, y: event.clientY };
+  };
+
+  const handlePointerUp = (event) => {
+    if (!swipeStartRef.current || event.pointerType !== 'touch') return;
+    const direction = swipeDirection(swipeStartRef.current, { x: event.clientX, y: event.clientY });
+    swipeStartRef.current = null;
+    if (direction === 'left') {
+      onNext();
+    } else if (direction === 'right') {
+      onPrevious();
+    }
+  };
+
+  return (
+    <div className="detail-backdrop" onClick={onClose}>
+      <div
+        className="detail-panel"
+        {...dialogProps}
+        onClick={(e) => e.stopPropagation()}
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+      >
+        <button
+          ref={closeButtonRef}
+          className="detail-close"
+          onClick={onClose}
+          aria-label={t('artwork.closeLabel')}
+        >
+          X
+        </button>
+
+        <div className={playback === 'audio' ? 'detail-image with-player' : 'detail-image'}>
+          {playback === 'video' ? (
+            <MediaPlayer
+              key={image.url}
+              url={image.url}
+              kind="video"
+              title={localize(image.title) || t('artwork.untitledArtwork')}
+              controls={hasPlaybackControls(image)}
+            />
+          ) : !still ? (
+            <div className="media-player-cover" role="img" aria-label={t('media.audio')}>
+              <img src="/assets/icons/audio.png" alt="" />
+            </div>
+          ) : failedUrl === still ? (
+            <div className="detail-image-unavailable" role="img" aria-label={t('image.unavailableLabel', { title })}>
+              <p className="detail-image-unavailable-label">{t('image.unavailable')}</p>
+              <p>{title}</p>
+              <button
+                className="detail-nav-button"
+                onClick={() => {
+                  setFailedUrl(null);
+                  setAttempt(n => n + 1);
+                }}
+              >
+                {t('image.retry')}
+              </button>
+            </div>
+          ) : (
+            <img
+              key={`${still}#${attempt}`}
+              src={still}
+              alt={localize(image.title) || t('artwork.untitledArtwork')}
+              onError={() => {
+                console.error(`Error loading image: ${still}`);
+                setFailedUrl(still);
+              }}
+            />
+          )}
+          {playback === 'audio' && <MediaPlayer key={image.url} url={image.url} kind="audio" />}
+        </div>
+
+        <div className="detail-body">
+          <h2 id="artwork-dialog-title" className="detail-title">{title}</h2>
+          {meta && <p className="detail-meta">{meta}</p>}
+
+          <div className="detail-text">
+            <p id="artwork-dialog-description">{localize(image.description) || t('artwork.noDescription')}</p>
+            {image.details && <p>{localize(image.details)}</p>}
+
+            {image.links.length > 0 && (
+              <ul className="detail-links">
+                {image.links.map(link => (
+                  <li key={link.url}>
+                    <a href={link.url} target="_blank" rel="noopener noreferrer">{localize(link.label) || link.url}</a>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {image.credits && <p className="detail-credits">{localize(image.credits)}</p>}
+
+            <ReactionForm key={image.id} artworkId={image.id} />
+          </div>
+
+          <div className="detail-navigation">
+            <button className="detail-nav-button" onClick={onPrevious} aria-label={t('artwork.previousLabel')}>{t('artwork.previous')}</button>
+            <button className="detail-nav-button" onClick={onNext} aria-label={t('artwork.nextLabel')}>{t('artwork.next')}</button>
+            {isPicture(image) && (
+              <button className="detail-nav-button detail-fullscreen" onClick={onOpenLightbox} aria-label={t('lightbox.openLabel')}>{t('lightbox.open')}</button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ArtworkDetailPanel;
@@ -0,0 +1,193 @@
+import { useEffect, useState } from 'react';
+import { LANGUAGES, useTranslation } from '../Service/i18n';
+import { hasLocalImage, setTranslation } from '../Service/editor';
+import '../styles/CuratorPanel.css';
+
+const TEXT_FIELDS = [
+  { field: 'title', label: 'editor.fieldTitle', multiline: false },
+  { field: 'description', label: 'editor.fieldDescription', multiline: true },
+  { field: 'details', label: 'editor.fieldDetails', multiline: true },
+];
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Side form of the curator mode (see Service/editor.js). Edits the selected
+// artwork through onChange(id, changes), adds the image files dropped anywhere
+// on the page through onAddImages(files), and exports or discards the draft.
+// `position` is where the selected work is on the map, which for works
+// without a catalog position is wherever the layout put them.
+// `localImagePaths` are the catalog paths of the works added in this browser,
+// whose image files the curator has to copy to the server after exporting.
+const CuratorPanel = ({ entry, position, localImagePaths = [], storageFull, onChange, onDelete, onAddImages, onExport, onReset }) => {
+  const { language, t, localize } = useTranslation();
+  const [textLanguage, setTextLanguage] = useState(language);
+  const [dropActive, setDropActive] = useState(false);
+
+  // Follow the interface language until the curator picks another one here
+  useEffect(() => {
+    setTextLanguage(language);
+  }, [language]);
+
+  // Image files dropped anywhere on the page become new artworks
+  useEffect(() => {
+    const hasFiles = (event) => event.dataTransfer && [...event.dataTransfer.types].includes('Files');
+
+    const handleDragOver = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      setDropActive(true);
+    };
+    const handleDragLeave = (event) => {
+      // Leaving the window, not just moving between elements
+      if (event.relatedTarget === null) setDropActive(false);
+    };
+    const handleDrop = (event) => {
+      if (!hasFiles(event)) return;
+      event.preventDefault();
+      setDropActive(false);
+      const images = [...event.dataTransfer.files].filter(file => file.type.startsWith('image/'));
+      if (images.length > 0) onAddImages(images);
+    };
+
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, [onAddImages]);
+
+  const updatePosition = (axis, value) => {
+    const number = Number.parseFloat(value);
+    if (!Number.isFinite(number)) return;
+    const updated = [...(position || [0, 0, 0])];
+    updated[axis] = number;
+    onChange(entry.id, { position: updated });
+  };
+
+  const updateScale = (value) => {
+    const number = Number.parseFloat(value);
+    if (Number.isFinite(number) && number > 0) onChange(entry.id, { scale: round(number) });
+  };
+
+  const handleDelete = () => {
+    if (window.confirm(t('editor.confirmDelete', { title: localize(entry.title) || t('artwork.untitled') }))) {
+      onDelete(entry.id);
+    }
+  };
+
+  const handleReset = () => {
+    if (window.confirm(t('editor.confirmReset'))) onReset();
+  };
+
+  return (
+    <>
+      <aside className="curator-panel" aria-label={t('editor.title')}>
+        <h2 className="curator-title">{t('editor.title')}</h2>
+        <p className="curator-hint">{t('editor.hint')}</p>
+
+        {storageFull && <p className="curator-warning" role="alert">{t('editor.storageFull')}</p>}
+
+        {entry ? (
+          <form className="curator-form" onSubmit={(e) => e.preventDefault()}>
+            <div className="curator-languages" role="group" aria-label={t('editor.textLanguage')}>
+              {LANGUAGES.map(code => (
+                <button
+                  key={code}
+                  type="button"
+                  className={`curator-language ${code === textLanguage ? 'selected' : ''}`}
+                  aria-pressed={code === textLanguage}
+                  onClick={() => setTextLanguage(code)}
+                >
+                  {code.toUpperCase()}
+                </button>
+              ))}
+            </div>
+
+            {TEXT_FIELDS.map(({ field, label, multiline }) => {
+              const Input = multiline ? 'textarea' : 'input';
+              return (
+                <label key={field} className="curator-field">
+                  {t(label)}
+                  <Input
+                    lang={textLanguage}
+                    rows={multiline ? 3 : undefined}
+                    value={typeof entry[field] === 'string' ? entry[field] : entry[field][textLanguage] || ''}
+                    onChange={(e) => onChange(entry.id, { [field]: setTranslation(entry[field], textLanguage, e.target.value) })}
+                  />
+                </label>
+              );
+            })}
+
+            <div className="curator-row">
+              {[t('editor.fieldX'), t('editor.fieldY')].map((label, axis) => (
+                <label key={label} className="curator-field">
+                  {label}
+                  <input
+                    type="number"
+                    step="0.1"
+                    value={position ? round(position[axis]) : ''}
+                    onChange={(e) => updatePosition(axis, e.target.value)}
+                  />
+                </label>
+              ))}
+              <label className="curator-field">
+                {t('editor.fieldScale')}
+                <input
+                  type="number"
+                  min="0.1"
+                  max="5"
+                  step="0.1"
+                  value={entry.scale}
+                  onChange={(e) => updateScale(e.target.value)}
+                />
+              </label>
+            </div>
+            <input
+              type="range"
+              className="curator-scale"
+              min="0.25"
+              max="3"
+              step="0.05"
+              value={entry.scale}
+              aria-label={t('editor.fieldScale')}
+              onChange={(e) => updateScale(e.target.value)}
+            />
+
+            {hasLocalImage(entry) && (
+              <p className="curator-hint">
+                {t('editor.localImageHint', { path: entry.path })}{' '}
+                <a href={entry.url} download={entry.path.split('/').pop()}>{t('editor.downloadImage')}</a>
+              </p>
+            )}
+
+            <button type="button" className="curator-button curator-delete" onClick={handleDelete}>
+              {t('editor.delete')}
+            </button>
+          </form>
+        ) : (
+          <p className="curator-hint">{t('editor.noSelection')}</p>
+        )}
+
+        {localImagePaths.length > 0 && (
+          <p className="curator-hint">
+            {localImagePaths.length === 1
+              ? t('editor.exportImagesOne', { path: localImagePaths[0] })
+              : t('editor.exportImagesOther', { count: localImagePaths.length, paths: localImagePaths.join(', ') })}
+          </p>
+        )}
+
+        <div className="curator-actions">
+          <button type="button" className="curator-button" onClick={onExport}>{t('editor.export')}</button>
+          <button type="button" className="curator-button curator-secondary" onClick={handleReset}>{t('editor.reset')}</button>
+        </div>
+      </aside>
+
+      {dropActive && <div className="curator-drop" aria-hidden="true">{t('editor.dropHere')}</div>}
+    </>
+  );
+};
+
+export default CuratorPanel;
@@ -0,0 +1,26 @@
+import { useTranslation } from '../Service/i18n';
+import '../styles/InspectModeSwitch.css';
+
+// Buttons for choosing what a click on an artwork opens: the full popup or
+// the small info card beside the plane. The choice itself lives in Experience.
+const InspectModeSwitch = ({ modes, mode, onChange }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="inspect-switch" role="group" aria-label={t('inspect.label')}>
+      <span className="inspect-label">{t('inspect.label')}</span>
+      {modes.map(option => (
+        <button
+          key={option}
+          className={`inspect-option ${option === mode ? 'selected' : ''}`}
+          aria-pressed={option === mode}
+          onClick={() => onChange(option)}
+        >
+          {t(`inspect.${option}`)}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default InspectModeSwitch;
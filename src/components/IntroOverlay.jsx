@@ -1,12 +1,19 @@
 import { useState, useEffect } from 'react';
+import { isTouchDevice } from '../Service/device';
+import { useTranslation } from '../Service/i18n';
+import { unlockAmbientAudio } from '../Service/ambientAudio';
 import '../styles/IntroOverlay.css';
 
 const IntroOverlay = () => {
   const [visible, setVisible] = useState(true);
+  const [touch] = useState(isTouchDevice);
+  const { t } = useTranslation();
 
   useEffect(() => {
     const handleClick = () => {
       setVisible(false);
+      // The click that starts the visit is what lets the browser play sound
+      unlockAmbientAudio();
     };
 
     window.addEventListener('click', handleClick);
@@ -19,18 +26,28 @@ const IntroOverlay = () => {
   return (
     <div className={`intro-overlay ${visible ? 'visible' : 'hidden'}`}>
       <div className="intro-content">
-        <div className="mouse-container">
-          <div className="mouse">
-            <div className="mouse-wheel"></div>
+        {touch ? (
+          <div className="mouse-container">
+            <div className="pinch">
+              <div className="finger first"></div>
+              <div className="finger second"></div>
+            </div>
           </div>
-          <div className="mouse-drag">
-            <div className="drag-arrow left"></div>
-            <div className="drag-arrow right"></div>
+        ) : (
+          <div className="mouse-container">
+            <div className="mouse">
+              <div className="mouse-wheel"></div>
+            </div>
+            <div className="mouse-drag">
+              <div className="drag-arrow left"></div>
+              <div className="drag-arrow right"></div>
+            </div>
           </div>
-        </div>
-        <h2>Explore Manifesta</h2>
-        <p>Click & drag to navigate</p>
-        <div className="click-anywhere">Click anywhere to begin</div>
+        )}
+        <h2>{t('intro.title')}</h2>
+        <p>{touch ? t('intro.touchHint') : t('intro.mouseHint')}</p>
+        {touch && <p className="swipe-hint">{t('intro.swipeHint')}</p>}
+        <div className="click-anywhere">{touch ? t('intro.tapToBegin') : t('intro.clickToBegin')}</div>
       </div>
     </div>
   );
@@ -0,0 +1,30 @@
+import { LANGUAGES, LANGUAGE_NAMES, setLanguage, useTranslation } from '../Service/i18n';
+import '../styles/LanguageSwitcher.css';
+
+// Buttons for switching between the interface languages. Stays above the
+// intro overlay, so visitors can pick a language before they start.
+const LanguageSwitcher = () => {
+  const { language, t } = useTranslation();
+
+  return (
+    <div className="language-switcher" role="group" aria-label={t('language.label')}>
+      {LANGUAGES.map(code => (
+        <button
+          key={code}
+          className={`language-option ${code === language ? 'selected' : ''}`}
+          lang={code}
+          aria-pressed={code === language}
+          title={LANGUAGE_NAMES[code]}
+          onClick={(e) => {
+            e.stopPropagation(); // Switching language should not dismiss the intro overlay
+            setLanguage(code);
+          }}
+        >
+          {code.toUpperCase()}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default LanguageSwitcher;
@@ -0,0 +1,113 @@
+import { useEffect, useRef, useState } from 'react';
+import { Canvas } from '@react-three/fiber';
+import ZoomedImageView from '../Experience/ZoomedImageView';
+import { ArtworkBoundary } from '../Experience/ArtworkStatus';
+import { isFullscreen } from '../Service/device';
+import { useTranslation } from '../Service/i18n';
+import '../styles/Lightbox.css';
+
+const SLIDESHOW_INTERVAL = 6; // Seconds each work stays on screen in the slideshow
+
+// Fullscreen lightbox for the open artwork, drawn on a canvas of its own by
+// ZoomedImageView. Experience puts the page in fullscreen when it opens the
+// lightbox; leaving fullscreen (e.g. with the browser's Escape) closes it.
+// The slideshow moves on to the next work every `slideshowInterval` seconds,
+// except while the visitor is zoomed in on a detail.
+const Lightbox = ({ image, onClose, onNext, onPrevious, slideshowInterval = SLIDESHOW_INTERVAL }) => {
+  const { t, localize } = useTranslation();
+  const rootRef = useRef();
+  const [playing, setPlaying] = useState(false);
+  const [zoomed, setZoomed] = useState(false);
+  const title = localize(image.title) || t('artwork.untitled');
+
+  // Keyboard focus moves into the lightbox, so its shortcuts apply
+  useEffect(() => {
+    if (rootRef.current) rootRef.current.focus();
+  }, []);
+
+  useEffect(() => {
+    let wasFullscreen = isFullscreen();
+    const handleFullscreenChange = () => {
+      if (wasFullscreen && !isFullscreen()) onClose();
+      wasFullscreen = isFullscreen();
+    };
+
+    document.addEventListener('fullscreenchange', handleFullscreenChange);
+    document.addEventListener('webkitfullscreenchange', handleFullscreenChange);
+    return () => {
+      document.removeEventListener('fullscreenchange', handleFullscreenChange);
+      document.removeEventListener('webkitfullscreenchange', handleFullscreenChange);
+    };
+  }, [onClose]);
+
+  // Each work gets the full interval, also after moving on by hand
+  useEffect(() => {
+    if (!playing || zoomed) return;
+    const timer = setTimeout(onNext, slideshowInterval * 1000);
+    return () => clearTimeout(timer);
+  }, [playing, zoomed, image, onNext, slideshowInterval]);
+
+  const handleKeyDown = (event) => {
+    switch (event.key) {
+      case 'Escape':
+        onClose();
+        break;
+      case 'ArrowRight':
+        onNext();
+        break;
+      case 'ArrowLeft':
+        onPrevious();
+        break;
+      case ' ':
+        if (event.target.closest('button')) return; // Space on a button already clicks it
+        event.preventDefault();
+        setPlaying(value => !value);
+        break;
+      default:
+        return;
+    }
+    event.stopPropagation();
+  };
+
+  return (
+    <div
+      ref={rootRef}
+      className="lightbox"
+      role="dialog"
+      aria-modal="true"
+      aria-label={title}
+      tabIndex={-1}
+      onKeyDown={handleKeyDown}
+    >
+      <Canvas camera={{ fov: 75, position: [0, 0, 10] }}>
+        <ArtworkBoundary key={image.id} label="lightbox">
+          <ZoomedImageView
+            imagePath={image.url}
+            title={image.title}
+            onClose={onClose}
+            onNext={onNext}
+            onPrevious={onPrevious}
+            onZoomChange={setZoomed}
+          />
+        </ArtworkBoundary>
+      </Canvas>
+
+      <div className="lightbox-toolbar">
+        <p className="lightbox-title">{title}</p>
+        <button
+          className={`lightbox-button ${playing ? 'selected' : ''}`}
+          aria-pressed={playing}
+          onClick={() => setPlaying(value => !value)}
+        >
+          {playing ? t('lightbox.pause') : t('lightbox.play')}
+        </button>
+        <button className="lightbox-button" onClick={onClose} aria-label={t('lightbox.closeLabel')}>
+          X
+        </button>
+      </div>
+      <p className="lightbox-hint">{t('lightbox.hint')}</p>
+    </div>
+  );
+};
+
+export default Lightbox;
@@ -0,0 +1,67 @@
+import { useEffect, useRef } from 'react';
+import { formatMediaTime, useMediaPlayback } from '../Service/media';
+import { useTranslation } from '../Service/i18n';
+import '../styles/MediaPlayer.css';
+
+// HTML player for a video or sound work, on the shared element the scene uses
+// as well (see Service/media.js). A video's element is moved into the player
+// while it is open. `controls` shows play/pause, seeking and the time; without
+// them, as for animated works, the video just plays.
+const MediaPlayer = ({ url, kind, title, controls = true }) => {
+  const { t } = useTranslation();
+  const playback = useMediaPlayback(url, kind);
+  const containerRef = useRef(null);
+  const element = playback && playback.element;
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!element || kind !== 'video' || !container) return undefined;
+    element.className = 'media-player-video';
+    container.appendChild(element);
+    return () => element.remove();
+  }, [element, kind]);
+
+  useEffect(() => {
+    if (element && !controls && element.paused) {
+      element.play().catch(() => {}); // Left paused where autoplay is refused
+    }
+  }, [element, controls]);
+
+  if (!playback) return null;
+  const { playing, currentTime, duration, muted, failed } = playback;
+
+  return (
+    <div className="media-player">
+      {kind === 'video' && <div ref={containerRef} className="media-player-screen" role="img" aria-label={title} />}
+      {failed && <p className="media-player-unavailable">{t('image.unavailable')}</p>}
+      {controls && !failed && (
+        <div className="media-player-controls">
+          <button className="media-player-button" onClick={playback.toggle}>
+            {playing ? t('media.pause') : t('media.play')}
+          </button>
+          <input
+            className="media-player-seek"
+            type="range"
+            min={0}
+            max={duration || 0}
+            step="any"
+            value={Math.min(currentTime, duration || 0)}
+            disabled={!duration}
+            onChange={(e) => playback.seek(Number(e.target.value))}
+            aria-label={t('media.seek')}
+          />
+          <span className="media-player-time">
+            {formatMediaTime(currentTime)} / {formatMediaTime(duration)}
+          </span>
+          {kind === 'video' && (
+            <button className="media-player-button" onClick={playback.toggleMute}>
+              {muted ? t('media.unmute') : t('media.mute')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MediaPlayer;
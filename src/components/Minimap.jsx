@@ -0,0 +1,149 @@
+import { useEffect, useMemo, useRef } from 'react';
+import { unmeasuredPlaneSize } from '../Experience/layout';
+import { catalogBounds } from '../Experience/mapBounds';
+import { useTranslation } from '../Service/i18n';
+import '../styles/Minimap.css';
+
+// Overview of the whole map in a corner of the screen: every artwork as a
+// small rectangle, and the part of the map the camera shows as a frame. It
+// covers the area the camera can be moved over (see mapBounds.js).
+// `viewRef` holds the live camera view ({ x, y, width, height } in world
+// units), written by the scene every frame, so the frame follows panning and
+// zooming without re-rendering React. A click or a drag on the overview moves
+// the camera there through onNavigate(x, y, { instant }).
+
+const MAX_WIDTH = 180; // CSS pixels
+const MAX_HEIGHT = 140;
+const ARTWORK_COLOR = '#ff6b9d';
+const DIMMED_COLOR = 'rgba(255, 107, 157, 0.25)';
+const SELECTED_COLOR = '#bb18f6';
+const VIEW_COLOR = '#333333';
+
+const sizeOf = (entry, sizes) => sizes[entry.id] || unmeasuredPlaneSize(entry.scale);
+
+const Minimap = ({ entries, positions, sizes, matchingIds, hideNonMatching, selectedIndex, viewRef, onNavigate }) => {
+  const { t } = useTranslation();
+  const canvasRef = useRef(null);
+  const artworksRef = useRef(null); // Offscreen drawing of the artworks, redrawn when they change
+  const staleRef = useRef(true); // Set when the artworks changed since the overview was last drawn
+
+  // World area covered by the overview, and its scale in CSS pixels per world unit
+  const frame = useMemo(() => {
+    const bounds = catalogBounds(entries, positions, sizes);
+    if (!bounds) return null;
+    const { minX, maxX, minY, maxY } = bounds;
+    const scale = Math.min(MAX_WIDTH / (maxX - minX), MAX_HEIGHT / (maxY - minY));
+    return {
+      minX,
+      maxY,
+      scale,
+      width: Math.round((maxX - minX) * scale),
+      height: Math.round((maxY - minY) * scale),
+    };
+  }, [entries, positions, sizes]);
+
+  // Draw the artworks once per change, for the view frame to be drawn over every frame
+  useEffect(() => {
+    if (!frame) return;
+    const pixelRatio = window.devicePixelRatio || 1;
+    const artworks = artworksRef.current || document.createElement('canvas');
+    artworksRef.current = artworks;
+    artworks.width = frame.width * pixelRatio;
+    artworks.height = frame.height * pixelRatio;
+
+    const context = artworks.getContext('2d');
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, frame.width, frame.height);
+    entries.forEach((entry, index) => {
+      const position = positions[index];
+      const matching = matchingIds === null || matchingIds.has(entry.id);
+      if (!position || (hideNonMatching && !matching)) return;
+      const { width, height } = sizeOf(entry, sizes);
+      context.fillStyle = index === selectedIndex ? SELECTED_COLOR : matching ? ARTWORK_COLOR : DIMMED_COLOR;
+      context.fillRect(
+        (position[0] - width / 2 - frame.minX) * frame.scale,
+        (frame.maxY - position[1] - height / 2) * frame.scale,
+        Math.max(width * frame.scale, 2),
+        Math.max(height * frame.scale, 2)
+      );
+    });
+
+    staleRef.current = true;
+  }, [frame, entries, positions, sizes, matchingIds, hideNonMatching, selectedIndex]);
+
+  // Redraw whenever the camera view changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!frame || !canvas) return;
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = frame.width * pixelRatio;
+    canvas.height = frame.height * pixelRatio;
+    const context = canvas.getContext('2d');
+    let lastDrawn = null;
+    let request;
+
+    const draw = () => {
+      request = requestAnimationFrame(draw);
+      const view = viewRef.current;
+      const key = view ? `${view.x},${view.y},${view.width},${view.height}` : '';
+      if (key === lastDrawn && !staleRef.current) return;
+      lastDrawn = key;
+      staleRef.current = false;
+
+      context.setTransform(1, 0, 0, 1, 0, 0);
+      context.clearRect(0, 0, canvas.width, canvas.height);
+      if (artworksRef.current) context.drawImage(artworksRef.current, 0, 0);
+      if (!view) return;
+
+      context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+      context.strokeStyle = VIEW_COLOR;
+      context.lineWidth = 1.5;
+      context.strokeRect(
+        (view.x - view.width / 2 - frame.minX) * frame.scale,
+        (frame.maxY - view.y - view.height / 2) * frame.scale,
+        view.width * frame.scale,
+        view.height * frame.scale
+      );
+    };
+
+    request = requestAnimationFrame(draw);
+    return () => cancelAnimationFrame(request);
+  }, [frame, viewRef]);
+
+  if (!frame) return null;
+
+  const toWorld = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return [
+      frame.minX + (event.clientX - rect.left) / frame.scale,
+      frame.maxY - (event.clientY - rect.top) / frame.scale,
+    ];
+  };
+
+  // A click flies there; dragging moves the view along with the pointer
+  const handlePointerDown = (event) => {
+    event.currentTarget.setPointerCapture(event.pointerId);
+    onNavigate(...toWorld(event), { instant: false });
+  };
+  const handlePointerMove = (event) => {
+    if (!event.currentTarget.hasPointerCapture(event.pointerId)) return;
+    onNavigate(...toWorld(event), { instant: true });
+  };
+
+  return (
+    <div className="minimap">
+      <canvas
+        ref={canvasRef}
+        className="minimap-canvas"
+        style={{ width: frame.width, height: frame.height }}
+        role="img"
+        aria-label={t('minimap.label')}
+        title={t('minimap.hint')}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+      />
+    </div>
+  );
+};
+
+export default Minimap;
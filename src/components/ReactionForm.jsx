@@ -0,0 +1,163 @@
+import { useEffect, useRef, useState } from 'react';
+import { EMOTIONS, isKnownEmotion } from '../Service/emotions';
+import {
+  MAX_NOTE_LENGTH,
+  exportReactions,
+  importReactions,
+  reactionFor,
+  setReaction,
+  useReactions
+} from '../Service/reactions';
+import { useReactionSummary } from '../Service/reactionBackend';
+import { useTranslation } from '../Service/i18n';
+import '../styles/ReactionForm.css';
+
+const NOTE_SAVE_DELAY = 400; // Milliseconds of quiet typing before the note is saved
+const TOP_EMOTIONS = 3; // How many of the emotions other visitors felt are listed
+
+// The most felt emotions of a shared summary, most felt first
+const topEmotions = (summary) => Object.entries(summary.emotions)
+  .filter(([name]) => isKnownEmotion(name))
+  .sort((a, b) => b[1] - a[1])
+  .slice(0, TOP_EMOTIONS);
+
+// The visitor's own response to an artwork: one emotion from the vocabulary
+// and a short note, saved in this browser (see Service/reactions.js), plus
+// export and import of every reaction they have left. Above it, how every
+// visitor reacted to the work, from the reactions backend (see
+// Service/reactionBackend.js). Render it with the
+// artwork id as `key`, so that a half-typed note stays with its artwork.
+const ReactionForm = ({ artworkId }) => {
+  const { t } = useTranslation();
+  const reactions = useReactions();
+  const reaction = reactionFor(reactions, artworkId);
+  const emotion = reaction ? reaction.emotion : null;
+  // Note being typed, until it is saved; null shows the saved one
+  const [draft, setDraft] = useState(null);
+  const note = draft ?? (reaction ? reaction.note : '');
+  const [importStatus, setImportStatus] = useState(null);
+  const fileInputRef = useRef();
+  const count = Object.keys(reactions).length;
+  const summary = useReactionSummary(artworkId);
+
+  const saveNote = (text) => {
+    setReaction(artworkId, { emotion, note: text });
+    setDraft(null);
+  };
+
+  // Note typed but not saved yet, so that it is not lost if the form goes away first
+  const pendingRef = useRef(null);
+
+  // Save the note once the visitor stops typing
+  useEffect(() => {
+    if (draft === null) {
+      pendingRef.current = null;
+      return;
+    }
+    pendingRef.current = { emotion, note: draft };
+    const timer = setTimeout(() => {
+      pendingRef.current = null;
+      setReaction(artworkId, { emotion, note: draft });
+      setDraft(null);
+    }, NOTE_SAVE_DELAY);
+    return () => clearTimeout(timer);
+  }, [artworkId, draft, emotion]);
+
+  // Closing the artwork while typing, e.g. with Escape, saves the note right away
+  useEffect(() => () => {
+    if (pendingRef.current) setReaction(artworkId, pendingRef.current);
+  }, [artworkId]);
+
+  const toggleEmotion = (name) => {
+    setReaction(artworkId, { emotion: name === emotion ? null : name, note });
+    setDraft(null);
+  };
+
+  const handleImport = async (event) => {
+    const [file] = event.target.files;
+    event.target.value = ''; // Importing the same file again should work too
+    if (!file) return;
+    try {
+      const imported = await importReactions(await file.text());
+      setImportStatus({ ok: true, text: t('reactions.imported', { count: imported }) });
+    } catch (error) {
+      console.error(`[reactions] ${error.message}`);
+      setImportStatus({ ok: false, text: t('reactions.importFailed') });
+    }
+  };
+
+  return (
+    <section className="reaction-form" aria-labelledby={`reaction-title-${artworkId}`}>
+      {summary && summary.count > 0 && (
+        <div className="reaction-shared">
+          <p className="reaction-shared-count">
+            {summary.count === 1 ? t('reactions.sharedOne') : t('reactions.sharedOther', { count: summary.count })}
+          </p>
+          <ul className="reaction-shared-emotions">
+            {topEmotions(summary).map(([name, votes]) => (
+              <li key={name}>
+                <span>{t(`emotion.name.${name}`)}</span>
+                <span className="reaction-shared-bar" style={{ width: `${(votes / summary.count) * 100}%` }} />
+                <span className="reaction-shared-votes">{votes}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <h3 id={`reaction-title-${artworkId}`} className="reaction-title">{t('reactions.title')}</h3>
+
+      <div className="reaction-emotions" role="group" aria-label={t('reactions.emotionLabel')}>
+        {Object.keys(EMOTIONS).map(name => (
+          <button
+            key={name}
+            type="button"
+            className={`reaction-emotion ${name === emotion ? 'selected' : ''}`}
+            aria-pressed={name === emotion}
+            onClick={() => toggleEmotion(name)}
+          >
+            {t(`emotion.name.${name}`)}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        className="reaction-note"
+        rows={3}
+        maxLength={MAX_NOTE_LENGTH}
+        placeholder={t('reactions.notePlaceholder')}
+        aria-label={t('reactions.noteLabel')}
+        value={note}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => {
+          if (draft !== null) saveNote(draft);
+        }}
+      />
+      <p className="reaction-hint">{t('reactions.savedLocally')}</p>
+
+      <div className="reaction-actions">
+        <span className="reaction-count">
+          {count === 1 ? t('reactions.countOne') : t('reactions.countOther', { count })}
+        </span>
+        <button type="button" className="reaction-button" onClick={() => exportReactions()} disabled={count === 0}>
+          {t('reactions.export')}
+        </button>
+        <button type="button" className="reaction-button" onClick={() => fileInputRef.current.click()}>
+          {t('reactions.import')}
+        </button>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={handleImport}
+        />
+      </div>
+      {importStatus && (
+        <p className={`reaction-hint ${importStatus.ok ? '' : 'reaction-error'}`} role="status">{importStatus.text}</p>
+      )}
+    </section>
+  );
+};
+
+export default ReactionForm;
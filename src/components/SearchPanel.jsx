@@ -0,0 +1,108 @@
+import { useState, useMemo } from 'react';
+import { catalogTags, filterCatalog, isFilterActive } from '../Service/search';
+import { useTranslation } from '../Service/i18n';
+import '../styles/SearchPanel.css';
+
+// Search and filter panel shown next to the canvas. The filter itself lives in
+// Experience; this panel edits it and lists the matching artworks. Enter (or a
+// click) on a result calls onSelect with that artwork's id.
+const SearchPanel = ({ entries, filter, onFilterChange, onSelect }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const { t, localize } = useTranslation();
+  const tags = useMemo(() => catalogTags(entries), [entries]);
+  const active = isFilterActive(filter);
+  const results = useMemo(() => (active ? filterCatalog(entries, filter) : []), [entries, filter, active]);
+
+  const updateFilter = (changes) => {
+    setActiveIndex(0);
+    onFilterChange({ ...filter, ...changes });
+  };
+
+  const toggleTag = (tag) => {
+    updateFilter({
+      tags: filter.tags.includes(tag) ? filter.tags.filter(t => t !== tag) : [...filter.tags, tag],
+    });
+  };
+
+  const handleKeyDown = (event) => {
+    if (results.length === 0) return;
+    switch (event.key) {
+      case 'ArrowDown':
+        event.preventDefault();
+        setActiveIndex(index => (index + 1) % results.length);
+        break;
+      case 'ArrowUp':
+        event.preventDefault();
+        setActiveIndex(index => (index - 1 + results.length) % results.length);
+        break;
+      case 'Enter':
+        event.preventDefault();
+        onSelect(results[Math.min(activeIndex, results.length - 1)].id);
+        break;
+      default:
+        break;
+    }
+  };
+
+  return (
+    <div className="search-panel" role="search">
+      <input
+        type="search"
+        className="search-input"
+        placeholder={t('search.placeholder')}
+        aria-label={t('search.label')}
+        value={filter.query}
+        onChange={(e) => updateFilter({ query: e.target.value })}
+        onKeyDown={handleKeyDown}
+      />
+
+      {tags.length > 0 && (
+        <div className="search-tags">
+          {tags.map(tag => (
+            <button
+              key={tag}
+              className={`search-tag ${filter.tags.includes(tag) ? 'selected' : ''}`}
+              aria-pressed={filter.tags.includes(tag)}
+              onClick={() => toggleTag(tag)}
+            >
+              {tag}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {active && (
+        <>
+          <label className="search-hide-others">
+            <input
+              type="checkbox"
+              checked={filter.hideOthers}
+              onChange={(e) => updateFilter({ hideOthers: e.target.checked })}
+            />
+            {t('search.hideOthers')}
+          </label>
+
+          <div className="search-count" aria-live="polite">
+            {results.length === 1 ? t('search.countOne') : t('search.countOther', { count: results.length })}
+          </div>
+
+          <ul className="search-results">
+            {results.map((entry, index) => (
+              <li key={entry.id}>
+                <button
+                  className={`search-result ${index === activeIndex ? 'active' : ''}`}
+                  onClick={() => onSelect(entry.id)}
+                  onMouseEnter={() => setActiveIndex(index)}
+                >
+                  {localize(entry.title) || t('artwork.untitled')}
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,41 @@
+import { useState } from 'react';
+import { useTranslation } from '../Service/i18n';
+import '../styles/TourMenu.css';
+
+// Menu of the guided tours defined next to the catalog (see Service/tours.js).
+// Choosing one calls onStart with its id; TourPlayer takes over from there.
+const TourMenu = ({ tours, onStart }) => {
+  const [open, setOpen] = useState(false);
+  const { t, localize } = useTranslation();
+
+  return (
+    <nav className="tour-menu" aria-label={t('tour.menuLabel')}>
+      {open && (
+        <ul className="tour-list">
+          {tours.map(tour => (
+            <li key={tour.id}>
+              <button
+                className="tour-option"
+                onClick={() => {
+                  setOpen(false);
+                  onStart(tour.id);
+                }}
+              >
+                <span className="tour-option-title">{localize(tour.title)}</span>
+                {tour.description && <span className="tour-option-description">{localize(tour.description)}</span>}
+                <span className="tour-option-stops">
+                  {tour.stops.length === 1 ? t('tour.stopsOne') : t('tour.stopsOther', { count: tour.stops.length })}
+                </span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <button className="tour-toggle" aria-expanded={open} onClick={() => setOpen(value => !value)}>
+        {t('tour.menu')}
+      </button>
+    </nav>
+  );
+};
+
+export default TourMenu;
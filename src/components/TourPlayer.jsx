@@ -0,0 +1,68 @@
+import { useEffect, useRef } from 'react';
+import { useTranslation } from '../Service/i18n';
+import '../styles/TourPlayer.css';
+
+// Controls and narration of the running guided tour. Experience opens the
+// artwork of each stop; the player shows the stop's caption and progress and,
+// while `playing`, calls onNext once the stop's dwell time has passed.
+// Pausing keeps the time already spent on the stop.
+const TourPlayer = ({ tour, stopIndex, playing, onTogglePlay, onNext, onPrevious, onExit }) => {
+  const { t, localize } = useTranslation();
+  const stop = tour.stops[stopIndex];
+  const remainingRef = useRef(stop.dwell * 1000);
+  const isLast = stopIndex === tour.stops.length - 1;
+
+  // Every stop starts with its full dwell time
+  useEffect(() => {
+    remainingRef.current = stop.dwell * 1000;
+  }, [tour, stopIndex, stop.dwell]);
+
+  useEffect(() => {
+    if (!playing) return;
+    const startedAt = performance.now();
+    const timer = setTimeout(onNext, remainingRef.current);
+    return () => {
+      clearTimeout(timer);
+      remainingRef.current -= performance.now() - startedAt;
+    };
+  }, [playing, tour, stopIndex, onNext]);
+
+  return (
+    <section className="tour-player" aria-label={t('tour.label', { title: localize(tour.title) })}>
+      <div className="tour-player-header">
+        <h2 className="tour-player-title">{localize(tour.title)}</h2>
+        <span className="tour-player-progress">
+          {t('tour.progress', { index: stopIndex + 1, count: tour.stops.length })}
+        </span>
+      </div>
+
+      {stop.caption && <p className="tour-player-caption" aria-live="polite">{localize(stop.caption)}</p>}
+
+      {/* Time left on this stop; it restarts with every stop */}
+      <div className="tour-player-track" aria-hidden="true">
+        <div
+          key={`${tour.id}-${stopIndex}`}
+          className="tour-player-bar"
+          style={{ animationDuration: `${stop.dwell}s`, animationPlayState: playing ? 'running' : 'paused' }}
+        />
+      </div>
+
+      <div className="tour-player-controls">
+        <button className="tour-player-button" onClick={onPrevious} disabled={stopIndex === 0}>
+          {t('tour.previous')}
+        </button>
+        <button className="tour-player-button tour-player-primary" onClick={onTogglePlay}>
+          {playing ? t('tour.pause') : t('tour.play')}
+        </button>
+        <button className="tour-player-button" onClick={onNext}>
+          {isLast ? t('tour.finish') : t('tour.skip')}
+        </button>
+        <button className="tour-player-button tour-player-exit" onClick={onExit}>
+          {t('tour.exit')}
+        </button>
+      </div>
+    </section>
+  );
+};
+
+export default TourPlayer;
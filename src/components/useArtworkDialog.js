@@ -0,0 +1,68 @@
+import { useEffect, useRef, useState } from 'react';
+
+// Dialog and focus management shared by whichever element is the artwork
+// dialog: the hidden one in AccessibleGallery or the visible
+// ArtworkDetailPanel. Spread `dialogProps` on the dialog and put
+// `closeButtonRef` on its close button; focus moves there when an artwork
+// opens and back to its item in `itemRefs` when it closes. `announcement` is
+// what the live region should say: the artwork just opened, or that it
+// closed, kept as data so it is worded at render time in the current language.
+export function useArtworkDialog(entries, openIndex) {
+  const itemRefs = useRef([]);
+  const dialogRef = useRef();
+  const closeButtonRef = useRef();
+  const lastOpenIndexRef = useRef(null);
+  const restoringFocusRef = useRef(false);
+  const dialogHasFocusRef = useRef(false);
+  const [announcement, setAnnouncement] = useState(null);
+
+  useEffect(() => {
+    if (openIndex !== null && entries[openIndex]) {
+      setAnnouncement({ image: entries[openIndex], index: openIndex });
+      if (closeButtonRef.current) closeButtonRef.current.focus();
+      lastOpenIndexRef.current = openIndex;
+    } else if (lastOpenIndexRef.current !== null) {
+      const item = itemRefs.current[lastOpenIndexRef.current];
+      // Only keyboard and screen-reader users, whose focus was in the dialog, get it back on the list
+      if (item && dialogHasFocusRef.current) {
+        // Returning focus after a close must not pull the camera away from the overview
+        restoringFocusRef.current = true;
+        item.focus();
+        restoringFocusRef.current = false;
+      }
+      setAnnouncement({ closed: true });
+      lastOpenIndexRef.current = null;
+      dialogHasFocusRef.current = false;
+    }
+  }, [openIndex, entries]);
+
+  // Keep Tab inside the dialog while it is open
+  const handleDialogKeyDown = (event) => {
+    if (event.key !== 'Tab' || !dialogRef.current) return;
+    const buttons = [...dialogRef.current.querySelectorAll('button, a[href]')];
+    const first = buttons[0];
+    const last = buttons[buttons.length - 1];
+    if (event.shiftKey && document.activeElement === first) {
+      event.preventDefault();
+      last.focus();
+    } else if (!event.shiftKey && document.activeElement === last) {
+      event.preventDefault();
+      first.focus();
+    }
+  };
+
+  const dialogProps = {
+    ref: dialogRef,
+    role: 'dialog',
+    'aria-modal': 'true',
+    'aria-labelledby': 'artwork-dialog-title',
+    'aria-describedby': 'artwork-dialog-description',
+    onKeyDown: handleDialogKeyDown,
+    onFocus: () => { dialogHasFocusRef.current = true; },
+    onBlur: (event) => {
+      if (!event.currentTarget.contains(event.relatedTarget)) dialogHasFocusRef.current = false;
+    },
+  };
+
+  return { dialogProps, closeButtonRef, itemRefs, restoringFocusRef, announcement };
+}